@@ -0,0 +1,169 @@
+/* global dbRequest, apiQueue, getSetting, setSetting, registerSettingsSection, settingsNumberInput */
+// This script keeps the wiki's API responses in the browser, so that pages
+// expanded before load instantly and keep working while offline. Responses
+// older than the TTL are fetched again, but kept around in case the wiki
+// can't be reached. When the cache outgrows its size limit, the oldest
+// responses are dropped.
+
+const CACHE_STORE = 'responses';
+const DEFAULT_CACHE_TTL = 7 * 24; // Hours before a response is fetched again
+const DEFAULT_CACHE_SIZE = 50; // Megabytes to keep
+const PRUNE_INTERVAL = 50; // Responses stored between checks of the cache size
+
+const cacheStats = { hits: 0, misses: 0, offline: 0 }; // Since the page was opened
+const pendingRequests = new Map(); // URL -> promise, so that identical requests are sent once
+let writesSincePrune = 0;
+
+const getCacheTtl = () => getSetting('cacheTtl', DEFAULT_CACHE_TTL);
+const getCacheSize = () => getSetting('cacheSize', DEFAULT_CACHE_SIZE);
+
+// Queries whose answer should change every time
+const isUncacheable = url => url.searchParams.get('list') === 'random';
+
+// Get the cached response for a URL, or undefined. The cache is skipped when
+// IndexedDB is unavailable, e.g. in some private browsing modes.
+const readCache = key => dbRequest(CACHE_STORE, 'readonly', store => store.get(key))
+  .catch(() => undefined);
+
+// Drop the oldest responses until the cache fits in its size limit
+function pruneCache() {
+  const limit = getCacheSize() * 1024 * 1024;
+  let total = 0;
+  return dbRequest(CACHE_STORE, 'readwrite', (store) => {
+    const req = store.index('fetched').openCursor(null, 'prev'); // Newest first
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      total += cursor.value.size;
+      if (total > limit) cursor.delete();
+      cursor.continue();
+    };
+    return req;
+  });
+}
+
+function writeCache(key, data) {
+  // Sizes are estimated from the length of the JSON, at two bytes per character
+  const size = JSON.stringify(data).length * 2;
+  dbRequest(CACHE_STORE, 'readwrite', store => store.put({ url: key, data, size, fetched: Date.now() }))
+    .then(() => {
+      writesSincePrune += 1;
+      if (writesSincePrune >= PRUNE_INTERVAL) {
+        writesSincePrune = 0;
+        return pruneCache();
+      }
+      return null;
+    })
+    .catch(e => console.warn('Could not cache response:', e));
+}
+
+// Fetch JSON through the request queue, sharing the request with any identical
+// one still in flight. Requests that can be aborted aren't shared, since
+// aborting one would abort both.
+function fetchJson(url, signal) {
+  if (signal) return apiQueue.fetchJson(url, { signal });
+  const key = url.href;
+  if (!pendingRequests.has(key)) {
+    const request = apiQueue.fetchJson(url)
+      .finally(() => pendingRequests.delete(key));
+    pendingRequests.set(key, request);
+  }
+  return pendingRequests.get(key);
+}
+
+/**
+ * Fetch JSON from the wiki's API through the cache.
+ * @param {URL} url - The full URL of the request
+ * @param {AbortSignal} [signal] - Cancels the request
+ */
+function cachedFetchJson(url, { signal } = {}) {
+  if (isUncacheable(url)) return fetchJson(url, signal);
+  const key = url.href;
+  return readCache(key).then((entry) => {
+    if (entry && Date.now() - entry.fetched < getCacheTtl() * 60 * 60 * 1000) {
+      cacheStats.hits += 1;
+      return entry.data;
+    }
+    cacheStats.misses += 1;
+    return fetchJson(url, signal)
+      .then((data) => {
+        // Errors like a missing page may be fixed on the wiki at any time
+        if (!data.error) writeCache(key, data);
+        return data;
+      })
+      .catch((e) => {
+        // Fall back to an outdated response when the wiki can't be reached
+        if (entry && e.name !== 'AbortError') {
+          cacheStats.offline += 1;
+          return entry.data;
+        }
+        throw e;
+      });
+  });
+}
+
+// Get the number of cached responses and their estimated size in bytes
+function getCacheUsage() {
+  const usage = { count: 0, size: 0 };
+  return dbRequest(CACHE_STORE, 'readonly', (store) => {
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      usage.count += 1;
+      usage.size += cursor.value.size;
+      cursor.continue();
+    };
+    return req;
+  }).then(() => usage);
+}
+
+const clearCache = () => dbRequest(CACHE_STORE, 'readwrite', store => store.clear());
+
+
+// -- SETTINGS -- //
+
+registerSettingsSection('Cache', (section) => {
+  const description = document.createElement('p');
+  description.textContent = 'Pages loaded from the wiki are kept in your browser, '
+    + 'so that they load instantly next time and work offline.';
+
+  const stats = document.createElement('p');
+  stats.className = 'settings-stats';
+  const showUnavailable = () => { stats.textContent = 'The cache is unavailable in this browser.'; };
+  const showStats = () => {
+    const { hits, misses, offline } = cacheStats;
+    const requests = hits + misses;
+    const rate = requests ? Math.round((100 * hits) / requests) : 0;
+    stats.textContent = `This visit: ${hits} of ${requests} requests served from the cache (${rate}%)`
+      + `${offline ? `, ${offline} while the wiki was unreachable` : ''}.`;
+    getCacheUsage()
+      .then(({ count, size }) => {
+        stats.textContent += ` Stored: ${count} responses, ${(size / 1024 / 1024).toFixed(1)} MB.`;
+      })
+      .catch(showUnavailable);
+  };
+  showStats();
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.textContent = 'Clear cache';
+  clear.addEventListener('click', () => clearCache().then(showStats, showUnavailable));
+
+  section.appendChild(description);
+  section.appendChild(settingsNumberInput('Refresh pages older than (hours)', {
+    get: getCacheTtl,
+    set: value => setSetting('cacheTtl', value),
+    min: 0,
+  }));
+  section.appendChild(settingsNumberInput('Maximum cache size (MB)', {
+    get: getCacheSize,
+    set: (value) => {
+      setSetting('cacheSize', value);
+      pruneCache().then(showStats, showUnavailable);
+    },
+    min: 1,
+  }));
+  section.appendChild(stats);
+  section.appendChild(clear);
+});
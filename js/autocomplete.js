@@ -0,0 +1,148 @@
+/* global getSuggestions, filterPeople, isPeopleMode, addItem, getRegisteredItems */
+// This script adds a dropdown of article suggestions underneath the input of a
+// commafield, so that titles don't have to be typed exactly right.
+
+const SUGGESTION_DELAY = 250; // Milliseconds to wait after the last keystroke
+
+function bindAutocomplete(cf) {
+  const inp = cf.getElementsByTagName('input')[0];
+
+  // The dropdown lives on <body> because the top bar hides its overflow
+  const list = document.createElement('ul');
+  list.className = 'autocomplete transparent-blur';
+  list.style.display = 'none';
+  document.body.appendChild(list);
+
+  let highlighted = -1; // Index of the highlighted suggestion, -1 if none
+  let timer = null;
+  let controller = null; // Aborts the request for the previous query
+
+  const items = () => Array.from(list.getElementsByTagName('li'));
+  const isOpen = () => list.style.display !== 'none';
+
+  function clear() {
+    list.style.display = 'none';
+    list.innerHTML = '';
+    highlighted = -1;
+  }
+
+  // Hide the dropdown, dropping the pending query so that a late response
+  // doesn't open it again
+  function close() {
+    clearTimeout(timer);
+    if (controller) controller.abort();
+    controller = null;
+    clear();
+  }
+
+  function highlight(idx) {
+    const lis = items();
+    if (!lis.length) return;
+    // Wrap around at either end, passing through "nothing highlighted"
+    highlighted = idx < -1 ? lis.length - 1 : idx;
+    if (highlighted >= lis.length) highlighted = -1;
+    lis.forEach((li, i) => li.classList.toggle('highlighted', i === highlighted));
+  }
+
+  function choose(title) {
+    if (getRegisteredItems(cf).indexOf(title) === -1) addItem(cf, title);
+    inp.value = '';
+    close();
+    inp.focus();
+  }
+
+  // Mark the suggestions that are people once the category lookup returns
+  function markPeople(titles, signal) {
+    filterPeople(titles, { signal }).then((people) => {
+      items().forEach((li) => {
+        if (people.includes(li.dataset.title)) {
+          li.classList.add('person');
+          li.title = 'Person or character';
+        }
+      });
+    }).catch(() => {}); // Aborted or failed, the dropdown is still usable
+  }
+
+  function render(titles) {
+    clear();
+    if (!titles.length) return;
+    titles.forEach((title) => {
+      const li = document.createElement('li');
+      li.textContent = title;
+      li.dataset.title = title;
+      // Use mousedown so that the input doesn't lose focus first
+      li.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        choose(title);
+      });
+      list.appendChild(li);
+    });
+    // Line the dropdown up with the input, just below the top bar
+    const { left } = inp.getBoundingClientRect();
+    list.style.left = `${left}px`;
+    list.style.top = `${cf.getBoundingClientRect().bottom}px`;
+    list.style.display = '';
+  }
+
+  function update() {
+    const search = inp.value.trim();
+    if (controller) controller.abort();
+    if (!search) {
+      close();
+      return;
+    }
+    controller = new AbortController();
+    const { signal } = controller;
+    getSuggestions(search, signal)
+      .then((titles) => {
+        render(titles);
+        if (titles.length && isPeopleMode()) markPeople(titles, signal);
+      })
+      .catch((e) => {
+        if (e.name !== 'AbortError') console.warn('Could not get suggestions:', e);
+      });
+  }
+
+  inp.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(update, SUGGESTION_DELAY);
+  });
+
+  // Handled before the commafield's own key bindings, which are on its parent
+  inp.addEventListener('keydown', (e) => {
+    if (!isOpen()) {
+      // The commafield adds the typed text, so suggestions still on their way aren't wanted
+      if (e.key === 'Enter' || e.key === ',') close();
+      return;
+    }
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        highlight(highlighted + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        highlight(highlighted - 1);
+        break;
+      case 'Enter':
+      case 'Tab':
+        // With nothing highlighted, let the commafield add the typed text
+        if (highlighted !== -1) {
+          e.preventDefault();
+          e.stopPropagation();
+          choose(items()[highlighted].dataset.title);
+        } else {
+          close();
+        }
+        break;
+      case 'Escape':
+      case ',':
+        close();
+        break;
+      default:
+        break;
+    }
+  });
+
+  inp.addEventListener('blur', close);
+}
@@ -1,5 +1,9 @@
 /* global nodes, network, isTouchDevice, shepherd, updateNodeValue */
 /* global expandNode, traceBack, resetProperties, go, goRandom, clearNetwork, unwrap, addItem */
+/* global bindAutocomplete, openLibrary, shareGraph, openExportMenu, openImportPanel, bindFileDrop */
+/* global togglePin, getArticleUrl, bindLanguageSelect, openSettings */
+/* global openPeopleRulesEditor, bindLinkStrategySelect, expandIncoming, openPeopleView, scheduleBiographies */
+/* global drawLayout, bindLayoutSelect, bindYearSlider, findPath, openCrawler */
 // This script contains (most of) the code that binds actions to events.
 
 let lastClickedNode = null;
@@ -43,10 +47,7 @@ function mobileTraceEvent(params) { // Trace back a node (with event handler)
 // Helper to open a page by ID
 function openPageForId(nodeId) {
   if (nodeId && nodes.get(nodeId)) {
-    const page = encodeURIComponent(unwrap(nodes.get(nodeId).label));
-    // UPDATE: Use HTTPS to prevent mixed content errors
-    const url = `https://en.wikipedia.org/wiki/${page}`;
-    window.open(url, '_blank');
+    window.open(getArticleUrl(unwrap(nodes.get(nodeId).label)), '_blank');
   }
 }
 
@@ -123,6 +124,30 @@ function removeActiveNode() {
   }
 }
 
+// Keep a node selected and zoom to the path tracing it back to the start
+function focusTraceBack(nodeId) {
+  lastClickedNode = nodeId;
+  traceBack(nodeId);
+  network.fit({
+    nodes: window.tracenodes,
+    animation: { duration: 1000, easingFunction: 'easeInOutQuad' },
+  });
+}
+
+// Bind the buttons of the selection panel, which is redrawn for each selection
+function bindSelectionPanel() {
+  const actions = {
+    expand: expandNode,
+    traceback: focusTraceBack,
+    open: openPageForId,
+    remove: removeActiveNode,
+  };
+  document.getElementById('selection').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button && window.selectedNode) actions[button.dataset.action](window.selectedNode);
+  });
+}
+
 // Global Key Handler
 function globalKeyHandler(e) {
   // Ignore if typing in an input field
@@ -155,6 +180,22 @@ function globalKeyHandler(e) {
     }
   }
 
+  // I: Select random / Expand incoming links on selected
+  if (key === 'i') {
+    const targetNode = window.selectedNode || lastClickedNode;
+    if (targetNode) {
+      expandIncoming(targetNode);
+    } else {
+      selectRandomNode();
+    }
+  }
+
+  // P: Pin / unpin selected node
+  if (key === 'p') {
+    const targetNode = window.selectedNode || lastClickedNode;
+    if (targetNode) togglePin(targetNode);
+  }
+
   // D / Backspace / Delete: Delete selected node
   if (key === 'd' || key === 'backspace' || key === 'delete') {
     removeActiveNode();
@@ -215,6 +256,9 @@ function bindNetwork() {
     });
   }
 
+  // Draw the background of the layout, like the timeline's axis
+  network.on('beforeDrawing', drawLayout);
+
   // Bind double-click to expandEvent instead of openPageEvent
   network.on('doubleClick', expandEvent);
 
@@ -344,6 +388,24 @@ function bind() {
   // Bind actions for search component.
 
   const cf = document.querySelector('.commafield');
+  // Suggest article titles while typing
+  bindAutocomplete(cf);
+
+  // Choose which Wikipedia to explore
+  bindLanguageSelect();
+
+  // Choose which links to follow
+  bindLinkStrategySelect();
+
+  // Choose how to arrange the graph
+  bindLayoutSelect();
+
+  // Filter people by the years they were alive
+  bindYearSlider();
+
+  // Act on the node shown in the selection panel
+  bindSelectionPanel();
+
   // Bind go button press
   const submitButton = document.getElementById('submit');
   submitButton.addEventListener('click', () => {
@@ -354,9 +416,37 @@ function bind() {
   const randomButton = document.getElementById('random');
   randomButton.addEventListener('click', goRandom);
 
+  document.getElementById('find-path').addEventListener('click', () => {
+    shepherd.cancel(); // Dismiss the tour if it is in progress
+    findPath();
+  });
+
   const clearButton = document.getElementById('clear');
   clearButton.addEventListener('click', clearNetwork);
 
+  const libraryButton = document.getElementById('library');
+  libraryButton.addEventListener('click', openLibrary);
+
+  const shareButton = document.getElementById('share');
+  shareButton.addEventListener('click', shareGraph);
+
+  const importButton = document.getElementById('import');
+  importButton.addEventListener('click', openImportPanel);
+  bindFileDrop();
+
+  const exportButton = document.getElementById('export');
+  exportButton.addEventListener('click', openExportMenu);
+
+  const settingsButton = document.getElementById('settings');
+  settingsButton.addEventListener('click', openSettings);
+
+  const rulesButton = document.getElementById('people-rules');
+  rulesButton.addEventListener('click', openPeopleRulesEditor);
+
+  // Color and filter people by their bios, which are looked up in people mode
+  document.getElementById('people-view').addEventListener('click', openPeopleView);
+  document.getElementById('people-mode').addEventListener('change', scheduleBiographies);
+
   // Bind tour start (from the Welcome Screen only)
   const tourbtn = document.getElementById('tourinit');
   if (tourbtn) {
@@ -406,6 +496,26 @@ function bind() {
     });
   }
 
+  // Bind Expand Incoming button: add the pages that link to the selected node
+  const expandIncomingButton = document.getElementById('expand-incoming');
+  if (expandIncomingButton) {
+    expandIncomingButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const targetNode = window.selectedNode || lastClickedNode;
+      if (targetNode) expandIncoming(targetNode);
+      else selectRandomNode();
+    });
+  }
+
+  // Bind Expand to Depth button: crawl below the selected node, or all start pages
+  const expandDepthButton = document.getElementById('expand-depth');
+  if (expandDepthButton) {
+    expandDepthButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openCrawler(window.selectedNode || lastClickedNode);
+    });
+  }
+
   // Bind Open Wikipedia button (Modified: NO ZOOM)
   const openWikiButton = document.getElementById('open-wikipedia');
   if (openWikiButton) {
@@ -0,0 +1,183 @@
+/* global nodes, unwrap, isPeopleMode, getSite, cachedFetchJson, getPagesByTitle, getBioProperties */
+/* global WIKIDATA_SPARQL, applyPeopleView, arrangeLayout, showSelection */
+// This script looks up what Wikidata knows about the people in the graph:
+// when they were born and died, their nationality, occupation and picture.
+// Lookups run in the background a while after nodes are added, a batch at a
+// time, so that expanding nodes isn't slowed down. Each node keeps what was
+// found as its `bio`, which is saved with the graph. Example bio:
+/*
+ * {
+ *   birth: '1879-03-14', birthPrecision: 11,
+ *   death: '1955-04-18', deathPrecision: 11,
+ *   nationality: ['German Empire', 'Switzerland', 'United States'],
+ *   occupation: ['theoretical physicist', 'university teacher'],
+ *   image: 'Albert Einstein Head.jpg',
+ * }
+ */
+
+const BIOGRAPHY_DELAY = 1000; // Milliseconds after nodes are added before they are looked up
+const BIOGRAPHY_BATCH_SIZE = 50; // Nodes looked up at a time, the API's limit on titles
+
+let biographyTimer = null;
+let biographiesRunning = false;
+let biographiesWanted = false; // Whether nodes were added during a lookup
+
+
+// -- WIKIDATA -- //
+
+// Build a SPARQL query for the biographies of Wikidata items, with names of
+// countries and occupations in `lang` where possible. Dates come with their
+// precision, as 'value precision'.
+function biographyQuery(itemIds, lang) {
+  return `SELECT ?item (SAMPLE(?birthValue) AS ?birth) (SAMPLE(?deathValue) AS ?death) (SAMPLE(?imageFile) AS ?image)
+  (GROUP_CONCAT(DISTINCT ?countryLabel; separator="|") AS ?nationality)
+  (GROUP_CONCAT(DISTINCT ?occupationLabel; separator="|") AS ?occupation)
+WHERE {
+  VALUES ?item { ${itemIds.map(id => `wd:${id}`).join(' ')} }
+  OPTIONAL {
+    ?item p:P569/psv:P569 [ wikibase:timeValue ?b; wikibase:timePrecision ?bp ] .
+    BIND(CONCAT(STR(?b), " ", STR(?bp)) AS ?birthValue)
+  }
+  OPTIONAL {
+    ?item p:P570/psv:P570 [ wikibase:timeValue ?d; wikibase:timePrecision ?dp ] .
+    BIND(CONCAT(STR(?d), " ", STR(?dp)) AS ?deathValue)
+  }
+  OPTIONAL { ?item wdt:P18 ?imageFile }
+  OPTIONAL { ?item wdt:P27 ?country }
+  OPTIONAL { ?item wdt:P106 ?occupationItem }
+  SERVICE wikibase:label {
+    bd:serviceParam wikibase:language "${lang},en" .
+    ?country rdfs:label ?countryLabel .
+    ?occupationItem rdfs:label ?occupationLabel .
+  }
+} GROUP BY ?item`;
+}
+
+// Read the results of `biographyQuery` into a map from item ID to bio
+function parseBiographies(res) {
+  const bios = new Map();
+  res.results.bindings.forEach((row) => {
+    const bio = {};
+    ['birth', 'death'].forEach((key) => {
+      if (!row[key]) return;
+      const [value, precision] = row[key].value.split(' '); // e.g. '1879-03-14T00:00:00Z 11'
+      bio[key] = value.split('T')[0];
+      bio[`${key}Precision`] = parseInt(precision, 10);
+    });
+    ['nationality', 'occupation'].forEach((key) => {
+      // Items without a label in any of the languages are named by their ID
+      const values = (row[key] ? row[key].value.split('|') : []).filter(v => v && !/^Q\d+$/.test(v));
+      if (values.length) bio[key] = values;
+    });
+    // Images are URLs like 'http://commons.wikimedia.org/wiki/Special:FilePath/Albert%20Einstein%20Head.jpg'
+    if (row.image) bio.image = decodeURIComponent(row.image.value.split('/').pop());
+    bios.set(row.item.value.split('/').pop(), bio);
+  });
+  return bios;
+}
+
+// Ask Wikidata for the biographies of items. Resolves to a map from item ID to bio.
+function getBiographies(itemIds, { signal } = {}) {
+  if (!itemIds.length) return Promise.resolve(new Map());
+  const lang = /^[a-z-]+$/.test(getSite().lang) ? getSite().lang : 'en';
+  const url = new URL(WIKIDATA_SPARQL);
+  url.searchParams.append('format', 'json');
+  url.searchParams.append('query', biographyQuery(itemIds, lang));
+  return cachedFetchJson(url, { signal }).then(parseBiographies);
+}
+
+
+// -- READING BIOS -- //
+
+// Get the year of a bio's date, where year 0 is 1 BC, or null if it's unknown
+const getBioYear = date => (date ? parseInt(date, 10) : null);
+
+/**
+ * Format a date from Wikidata for reading in the reader's language, as
+ * precisely as it is known, e.g. 'March 14, 1879', '1879' or 'c. 1500'.
+ * @param {string} value - A date like '1879-03-14'. Year 0 is 1 BC.
+ * @param {number} precision - Wikidata's precision: 9 for a year, 10 for a month and 11 for a day
+ */
+function formatWikidataDate(value, precision) {
+  const [, minus, yearText, month, day] = value.match(/^(-?)(\d+)-(\d+)-(\d+)/);
+  let year = parseInt(yearText, 10) * (minus ? -1 : 1);
+  const era = year < 1 ? ' BC' : '';
+  if (year < 1) year = 1 - year;
+  if (precision < 9) return `c. ${year}${era}`;
+  if (precision === 9 || era) return `${year}${era}`;
+  const date = new Date(0);
+  date.setUTCFullYear(year, parseInt(month, 10) - 1, parseInt(day, 10));
+  const parts = { year: 'numeric', month: 'long', timeZone: 'UTC' };
+  if (precision >= 11) parts.day = 'numeric';
+  return date.toLocaleDateString(undefined, parts);
+}
+
+// Describe a bio in a few lines of text, e.g. ['Born March 14, 1879 · Died April 18, 1955', ...]
+function describeBio(bio) {
+  const lines = [];
+  const dates = [
+    bio.birth && `Born ${formatWikidataDate(bio.birth, bio.birthPrecision)}`,
+    bio.death && `Died ${formatWikidataDate(bio.death, bio.deathPrecision)}`,
+  ].filter(d => d);
+  if (dates.length) lines.push(dates.join(' · '));
+  if (bio.nationality) lines.push(bio.nationality.join(', '));
+  if (bio.occupation) lines.push(bio.occupation.join(', '));
+  return lines;
+}
+
+// Get the URL of a thumbnail of a bio's image, `width` pixels wide
+const getBioImageUrl = (bio, width) =>
+  `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(bio.image)}?width=${width}`;
+
+
+// -- ENRICHING NODES -- //
+
+// Look up the bios of a batch of nodes and fill them in
+async function enrichBatch(batch) {
+  const titles = batch.map(n => unwrap(n.label));
+  const pages = await getPagesByTitle(titles, { prop: 'pageprops', ppprop: 'wikibase_item' });
+  const items = titles.map(title => (pages.get(title).pageprops || {}).wikibase_item);
+  const bios = await getBiographies([...new Set(items.filter(item => item))]);
+
+  // Nodes may have been removed, or the graph replaced, in the meantime
+  nodes.update(batch
+    .map((node, i) => ({ id: node.id, ...getBioProperties(bios.get(items[i]) || {}, node.why) }))
+    .filter(update => nodes.get(update.id)));
+  applyPeopleView();
+  arrangeLayout(); // The timeline places people by their birth
+  if (window.selectedNode) showSelection(window.selectedNode);
+}
+
+// Look up the bios of nodes that don't have one yet. Nodes added in the
+// meantime are looked up once this is done.
+async function enrichBiographies() {
+  if (biographiesRunning) {
+    biographiesWanted = true;
+    return;
+  }
+  biographiesRunning = true;
+  try {
+    const waiting = isPeopleMode() ? nodes.get({ filter: n => n.bio === undefined }) : [];
+    const batches = [];
+    for (let i = 0; i < waiting.length; i += BIOGRAPHY_BATCH_SIZE) {
+      batches.push(waiting.slice(i, i + BIOGRAPHY_BATCH_SIZE));
+    }
+    // Batches are looked up in parallel, as far as the request queue allows
+    await Promise.all(batches.map(enrichBatch));
+  } catch (e) {
+    console.warn("Couldn't look up biographies:", e);
+  } finally {
+    biographiesRunning = false;
+  }
+  if (biographiesWanted) {
+    biographiesWanted = false;
+    // eslint-disable-next-line no-use-before-define
+    scheduleBiographies();
+  }
+}
+
+// Look up the bios of new nodes in a moment, once expanding has settled down
+function scheduleBiographies() {
+  clearTimeout(biographyTimer);
+  biographyTimer = setTimeout(enrichBiographies, BIOGRAPHY_DELAY);
+}
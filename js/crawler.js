@@ -0,0 +1,225 @@
+/* global nodes, edges, unwrap, getNormalizedId, getSubPages, renameNode, expandNodeCallback, lockStartItem */
+/* global Modal, Progress, showToast, getSetting, setSetting, settingsNumberInput */
+// This script expands a node, or all start pages, a few levels deep at once.
+// It crawls breadth-first: every page on one level is expanded before any on
+// the next, through the same `getSubPages` and `expandNodeCallback` as
+// expanding by hand. It stops after a number of levels or new nodes, and
+// follows only the first links of each page. Each page is added to the graph
+// whole once its links arrive, so pausing or cancelling leaves the graph as
+// if the pages expanded so far had been expanded by hand. Example usage:
+/*
+ * const crawler = new Crawler(window.startpages, { depth: 2, nodes: 200, links: 15 });
+ * crawler.onProgress = () => console.log(`${crawler.added} nodes added`);
+ * crawler.start().then(() => console.log('Done'));
+ */
+
+const CRAWL_CONCURRENCY = 4; // Pages looked up at a time
+
+const getCrawlLimits = () => ({
+  depth: getSetting('crawlDepth', 2), // Levels to expand, counting the pages the crawl starts from
+  nodes: getSetting('crawlNodes', 200), // New nodes to add at most
+  links: getSetting('crawlLinks', 15), // Links of each page to follow at most
+});
+
+function Crawler(roots, { depth, nodes: maxNodes, links: maxLinks }) {
+  this.level = 0; // The level being expanded, where the roots are 0
+  this.levelDone = 0; // Pages of the level done so far
+  this.levelSize = roots.length;
+  this.expanded = 0; // Pages expanded
+  this.added = 0; // New nodes added
+  this.failed = 0; // Pages that couldn't be expanded
+  this.paused = false;
+  this.onProgress = () => {};
+
+  const controller = new AbortController();
+  let resume = null; // Ends the pause
+
+  this.pause = () => { this.paused = true; };
+  this.resume = () => {
+    this.paused = false;
+    if (resume) resume();
+    resume = null;
+  };
+  // Stop the crawl. Pages still loading are left as they were.
+  this.cancel = () => {
+    controller.abort();
+    this.resume();
+  };
+  this.isCancelled = () => controller.signal.aborted;
+
+  // Wait until the crawl is resumed, if it's paused
+  const unpaused = () => (this.paused ? new Promise((resolve) => { resume = resolve; }) : Promise.resolve());
+  const isFull = () => this.added >= maxNodes;
+
+  // Expand a page, following at most `maxLinks` of its links and adding only
+  // as many new nodes as are left. Pages that were expanded before aren't
+  // looked up again. Resolves to the IDs of the pages below it.
+  const expand = async (id) => {
+    const node = nodes.get(id);
+    if (!node) return []; // Removed while the crawl was running
+    if (node.expanded) {
+      return edges.get({ filter: e => e.from === id && !e.incoming }).map(e => e.to);
+    }
+
+    let found;
+    try {
+      found = await getSubPages(unwrap(node.label), { signal: controller.signal });
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        this.failed += 1;
+        console.warn(`Couldn't expand "${unwrap(node.label)}":`, e);
+      }
+      return [];
+    }
+    // The crawl may have been cancelled, or the node removed, in the meantime
+    if (this.isCancelled() || !nodes.get(id)) return [];
+
+    const { redirectedTo, links, reasons, contexts, strategy, relations } = found;
+    const newId = renameNode(id, redirectedTo);
+    const kept = [];
+    let added = 0;
+    links.slice(0, maxLinks).forEach((title) => {
+      const isNew = !nodes.get(getNormalizedId(title));
+      if (isNew && this.added + added >= maxNodes) return;
+      if (isNew) added += 1;
+      kept.push(title);
+    });
+    expandNodeCallback(newId, kept, { reasons, contexts, strategy, relations, markExpanded: kept.length === links.length });
+    lockStartItem(newId);
+    this.added += added;
+    this.expanded += 1;
+    return kept.map(getNormalizedId);
+  };
+
+  // Crawl until the limits are reached or the crawl is cancelled. Resolves
+  // when the last page has been added.
+  this.start = () => {
+    const seen = new Set(roots);
+    // Expand the pages of a level from `from` on, a batch at a time so that
+    // pausing and the limits take effect soon. Resolves to the pages below them.
+    const expandLevel = (level, from = 0, next = []) => {
+      if (from >= level.length || isFull()) return Promise.resolve(next);
+      return unpaused()
+        .then(() => (this.isCancelled() ? [] : Promise.all(level.slice(from, from + CRAWL_CONCURRENCY).map(expand))))
+        .then((below) => {
+          if (this.isCancelled()) return next;
+          below.forEach(ids => ids.forEach((id) => {
+            if (seen.has(id)) return;
+            seen.add(id);
+            next.push(id);
+          }));
+          this.levelDone = Math.min(from + CRAWL_CONCURRENCY, level.length);
+          this.onProgress();
+          return expandLevel(level, from + CRAWL_CONCURRENCY, next);
+        });
+    };
+    // Expand one level, then the one below it
+    const crawl = (level) => {
+      if (this.level >= depth || !level.length || isFull() || this.isCancelled()) return Promise.resolve();
+      this.levelDone = 0;
+      this.levelSize = level.length;
+      return expandLevel(level).then((next) => {
+        this.level += 1;
+        return crawl(next);
+      });
+    };
+    this.level = 0;
+    return crawl(roots);
+  };
+
+  // How far the crawl has got, from 0 to 1: by levels, or by nodes if that limit is nearer
+  this.getProgress = () => Math.min(1, Math.max(
+    (this.level + (this.levelDone / Math.max(this.levelSize, 1))) / depth,
+    this.added / maxNodes,
+  ));
+}
+
+
+// -- PANEL -- //
+
+// Present the panel for expanding `target`, or all start pages if it's null,
+// to a depth. Once started, the panel shows the crawl's progress with buttons
+// to pause, resume and cancel it.
+function openCrawler(target) {
+  const roots = target ? [target] : window.startpages.filter(id => nodes.get(id));
+  if (!roots.length) {
+    showToast('Search for an article first, then expand it to a depth.');
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.className = 'panel crawler';
+  const heading = document.createElement('h1');
+  heading.textContent = 'Expand to depth';
+  const description = document.createElement('p');
+  description.textContent = target
+    ? `Expands "${unwrap(nodes.get(target).label)}" and the pages below it, level by level.`
+    : `Expands the ${roots.length === 1 ? 'start page' : `${roots.length} start pages`} and the pages below, level by level.`;
+  panel.appendChild(heading);
+  panel.appendChild(description);
+  const limits = [
+    ['Levels to expand', 'crawlDepth', 'depth'],
+    ['Most nodes to add', 'crawlNodes', 'nodes'],
+    ['Links to follow on each page', 'crawlLinks', 'links'],
+  ];
+  limits.forEach(([label, setting, key]) => {
+    panel.appendChild(settingsNumberInput(label, {
+      get: () => getCrawlLimits()[key],
+      set: value => setSetting(setting, Math.round(value)),
+      min: 1,
+    }));
+  });
+  const startButton = document.createElement('button');
+  startButton.type = 'button';
+  startButton.textContent = 'Start';
+  panel.appendChild(startButton);
+  const modal = new Modal(panel);
+  modal.present();
+
+  startButton.addEventListener('click', () => {
+    const crawler = new Crawler(roots, getCrawlLimits());
+    modal.clickToDismiss = false; // Only cancelling stops the crawl
+
+    const progress = new Progress('Expanding...');
+    const details = document.createElement('p');
+    details.className = 'crawler-details';
+    const pauseButton = document.createElement('button');
+    pauseButton.type = 'button';
+    pauseButton.textContent = 'Pause';
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.textContent = 'Cancel';
+    panel.innerHTML = '';
+    panel.appendChild(progress.container);
+    panel.appendChild(details);
+    panel.appendChild(pauseButton);
+    panel.appendChild(cancelButton);
+
+    const { depth } = getCrawlLimits();
+    crawler.onProgress = () => {
+      progress.progress(crawler.getProgress());
+      details.textContent = `Level ${Math.min(crawler.level + 1, depth)} of ${depth}: `
+        + `expanded ${crawler.expanded} pages and added ${crawler.added} nodes.`
+        + `${crawler.paused ? ' Paused.' : ''}`;
+    };
+    crawler.onProgress();
+
+    pauseButton.addEventListener('click', () => {
+      if (crawler.paused) crawler.resume();
+      else crawler.pause();
+      pauseButton.textContent = crawler.paused ? 'Resume' : 'Pause';
+      crawler.onProgress();
+    });
+    cancelButton.addEventListener('click', crawler.cancel);
+
+    crawler.start().then(() => {
+      modal.close();
+      const failed = crawler.failed ? ` Couldn't expand ${crawler.failed} pages.` : '';
+      const summary = `Expanded ${crawler.expanded} pages and added ${crawler.added} nodes.${failed}`;
+      showToast(crawler.isCancelled() ? `Stopped. ${summary}` : summary);
+    }).catch((e) => {
+      modal.close();
+      showToast(`Couldn't finish expanding. ${e.message}`);
+    });
+  });
+}
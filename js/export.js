@@ -0,0 +1,265 @@
+/* global nodes, edges, Modal, showMessage, unwrap, networkToJson, downloadFile, openImageExportPanel */
+// This script exports the live network to file formats that other graph tools
+// understand: GraphML and GEXF (Gephi, Cytoscape), DOT (Graphviz) and CSV.
+
+
+// -- GATHERING DATA -- //
+
+// Get plain objects for every node and edge in the network, with the
+// attributes that every export format includes.
+function getExportData() {
+  const nodeList = nodes.get();
+  const ids = new Set(nodeList.map(n => n.id));
+  // Edges can outlive nodes that were removed from the graph; leave those out
+  const edgeList = edges.get().filter(e => ids.has(e.from) && ids.has(e.to));
+
+  const degrees = {};
+  edgeList.forEach((e) => {
+    degrees[e.from] = (degrees[e.from] || 0) + 1;
+    degrees[e.to] = (degrees[e.to] || 0) + 1;
+  });
+
+  return {
+    nodes: nodeList.map(n => ({
+      id: n.id,
+      label: unwrap(n.label),
+      level: n.level,
+      parent: n.parent,
+      start: window.startpages.includes(n.id),
+      degree: degrees[n.id] || 0,
+      bio: n.bio || {},
+    })),
+    edges: edgeList.map(e => ({ from: e.from, to: e.to, level: e.level, relation: e.relation || '' })),
+  };
+}
+
+// A file name for exports, based on the start pages
+function getExportName() {
+  const starts = window.startpages.map(id => nodes.get(id)).filter(n => n);
+  const name = starts.length ? starts.map(n => unwrap(n.label)).join(' ') : 'graph';
+  const slug = name.toLowerCase().replace(/[\s/\\?%*:|"<>]+/g, '-').replace(/^-+|-+$/g, '');
+  return `wikipedia-map-${slug.slice(0, 60)}`;
+}
+
+// Escape text for use in XML content and attribute values
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+
+// -- FORMATS -- //
+
+function toGraphML({ nodes: nds, edges: edgs }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="level" for="node" attr.name="level" attr.type="int"/>',
+    '  <key id="parent" for="node" attr.name="parent" attr.type="string"/>',
+    '  <key id="start" for="node" attr.name="start" attr.type="boolean"/>',
+    '  <key id="degree" for="node" attr.name="degree" attr.type="int"/>',
+    '  <key id="edgelevel" for="edge" attr.name="level" attr.type="int"/>',
+    '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+    '  <graph id="wikipedia-map" edgedefault="directed">',
+  ];
+  nds.forEach((n) => {
+    lines.push(`    <node id="${escapeXml(n.id)}">`);
+    lines.push(`      <data key="label">${escapeXml(n.label)}</data>`);
+    lines.push(`      <data key="level">${n.level}</data>`);
+    lines.push(`      <data key="parent">${escapeXml(n.parent)}</data>`);
+    lines.push(`      <data key="start">${n.start}</data>`);
+    lines.push(`      <data key="degree">${n.degree}</data>`);
+    lines.push('    </node>');
+  });
+  edgs.forEach((e) => {
+    lines.push(`    <edge source="${escapeXml(e.from)}" target="${escapeXml(e.to)}">`);
+    lines.push(`      <data key="edgelevel">${e.level}</data>`);
+    if (e.relation) lines.push(`      <data key="relation">${escapeXml(e.relation)}</data>`);
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+function toGexf({ nodes: nds, edges: edgs }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <meta>',
+    '    <creator>Wikipedia Map</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+    '      <attribute id="level" title="level" type="integer"/>',
+    '      <attribute id="parent" title="parent" type="string"/>',
+    '      <attribute id="start" title="start" type="boolean"/>',
+    '      <attribute id="degree" title="degree" type="integer"/>',
+    '    </attributes>',
+    '    <attributes class="edge">',
+    '      <attribute id="level" title="level" type="integer"/>',
+    '      <attribute id="relation" title="relation" type="string"/>',
+    '    </attributes>',
+    '    <nodes>',
+  ];
+  nds.forEach((n) => {
+    lines.push(`      <node id="${escapeXml(n.id)}" label="${escapeXml(n.label)}">`);
+    lines.push('        <attvalues>');
+    lines.push(`          <attvalue for="level" value="${n.level}"/>`);
+    lines.push(`          <attvalue for="parent" value="${escapeXml(n.parent)}"/>`);
+    lines.push(`          <attvalue for="start" value="${n.start}"/>`);
+    lines.push(`          <attvalue for="degree" value="${n.degree}"/>`);
+    lines.push('        </attvalues>');
+    lines.push('      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+  edgs.forEach((e, i) => {
+    lines.push(`      <edge id="${i}" source="${escapeXml(e.from)}" target="${escapeXml(e.to)}">`);
+    const relation = e.relation ? `<attvalue for="relation" value="${escapeXml(e.relation)}"/>` : '';
+    lines.push(`        <attvalues><attvalue for="level" value="${e.level}"/>${relation}</attvalues>`);
+    lines.push('      </edge>');
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n');
+}
+
+// Quote a Graphviz ID, escaping quotes and backslashes
+const dotString = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+
+function toDot({ nodes: nds, edges: edgs }) {
+  const lines = ['digraph "Wikipedia Map" {', '  node [shape=ellipse];'];
+  nds.forEach((n) => {
+    const attrs = [
+      `label=${dotString(n.label)}`,
+      `level=${n.level}`,
+      `parent=${dotString(n.parent)}`,
+      `start=${n.start}`,
+      `degree=${n.degree}`,
+    ];
+    lines.push(`  ${dotString(n.id)} [${attrs.join(', ')}];`);
+  });
+  edgs.forEach((e) => {
+    const relation = e.relation ? `, relation=${dotString(e.relation)}` : '';
+    lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)} [level=${e.level}${relation}];`);
+  });
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Quote a CSV field if it needs it (RFC 4180)
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvRows = rows => rows.map(row => row.map(csvField).join(',')).join('\r\n');
+
+// Lists, like a person's occupations, are separated by semicolons
+function toNodesCsv({ nodes: nds }) {
+  return csvRows([
+    ['id', 'label', 'level', 'parent', 'start', 'degree', 'birth', 'death', 'nationality', 'occupation', 'image'],
+    ...nds.map(n => [
+      n.id, n.label, n.level, n.parent, n.start, n.degree,
+      n.bio.birth || '',
+      n.bio.death || '',
+      (n.bio.nationality || []).join('; '),
+      (n.bio.occupation || []).join('; '),
+      n.bio.image || '',
+    ]),
+  ]);
+}
+
+function toEdgesCsv({ edges: edgs }) {
+  return csvRows([
+    ['source', 'target', 'level', 'relation'],
+    ...edgs.map(e => [e.from, e.to, e.level, e.relation]),
+  ]);
+}
+
+
+// -- EXPORT MENU -- //
+
+// Every export format: how to name its file and build its contents, or a
+// function that opens more options for it
+const exportFormats = [
+  {
+    name: 'Wikipedia Map JSON',
+    description: 'Can be imported back into Wikipedia Map',
+    extension: 'json',
+    type: 'application/json',
+    build: () => networkToJson({ layout: true }),
+  },
+  {
+    name: 'GraphML',
+    description: 'For Gephi, Cytoscape, yEd and NetworkX',
+    extension: 'graphml',
+    type: 'application/xml',
+    build: () => toGraphML(getExportData()),
+  },
+  {
+    name: 'GEXF',
+    description: 'For Gephi',
+    extension: 'gexf',
+    type: 'application/xml',
+    build: () => toGexf(getExportData()),
+  },
+  {
+    name: 'Graphviz DOT',
+    description: 'For Graphviz',
+    extension: 'dot',
+    type: 'text/vnd.graphviz',
+    build: () => toDot(getExportData()),
+  },
+  {
+    name: 'CSV node list',
+    description: 'For spreadsheets',
+    extension: 'nodes.csv',
+    type: 'text/csv',
+    build: () => toNodesCsv(getExportData()),
+  },
+  {
+    name: 'CSV edge list',
+    description: 'For spreadsheets',
+    extension: 'edges.csv',
+    type: 'text/csv',
+    build: () => toEdgesCsv(getExportData()),
+  },
+  {
+    name: 'Image (PNG or SVG)',
+    description: 'For slides and documents',
+    open: () => openImageExportPanel(), // Defined in image_export.js, which loads after this script
+  },
+];
+
+// Present the export menu
+function openExportMenu() {
+  if (!nodes || !nodes.length) {
+    showMessage('Nothing to export', 'Build a graph first, then export it.');
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.className = 'panel export';
+  panel.innerHTML = '<h1>Export graph</h1><ul class="export-list"></ul>';
+  const list = panel.querySelector('ul');
+  const modal = new Modal(panel);
+
+  exportFormats.forEach((format) => {
+    const item = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = format.name;
+    btn.addEventListener('click', () => {
+      modal.close();
+      if (format.open) format.open();
+      else downloadFile(`${getExportName()}.${format.extension}`, format.build(), format.type);
+    });
+    const description = document.createElement('span');
+    description.textContent = format.description;
+    item.appendChild(btn);
+    item.appendChild(description);
+    list.appendChild(item);
+  });
+
+  modal.present();
+}
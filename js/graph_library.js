@@ -0,0 +1,162 @@
+/* global nodes, Modal, showMessage, storeGraph, networkToJson, resetNetworkFromJson, dbGet, dbGetAll, dbPut, dbDelete */ // eslint-disable-line max-len
+// This script contains the "My graphs" panel, which lists the graphs saved in
+// the browser, and the autosave that protects the graph currently being built.
+
+const AUTOSAVE_INTERVAL = 5000; // Milliseconds between autosave checks
+const AUTOSAVE_KEY = 'current';
+
+let lastAutosave = null; // JSON of the last autosave, to skip saving unchanged graphs
+
+
+// -- AUTOSAVE -- //
+
+// Save the working graph if it changed. Empty graphs are never saved, so that
+// clearing the canvas by accident doesn't overwrite the last real graph.
+function autosave() {
+  if (!nodes || !nodes.length) return;
+  const json = networkToJson({ layout: true });
+  if (json === lastAutosave) return;
+  lastAutosave = json;
+  dbPut('autosave', { json, nodeCount: nodes.length, modified: Date.now() }, AUTOSAVE_KEY)
+    .catch(e => console.warn('Autosave failed:', e));
+}
+
+function startAutosave() {
+  setInterval(autosave, AUTOSAVE_INTERVAL);
+}
+
+
+// -- PANEL -- //
+
+// Open a stored record (saved graph or autosave) on the canvas
+function openRecord(record) {
+  try {
+    resetNetworkFromJson(JSON.parse(record.json));
+  } catch (e) {
+    showMessage(`Couldn't open "${record.name || 'this graph'}"`, e.message);
+  }
+}
+
+const describeRecord = record =>
+  `${record.nodeCount} nodes, saved ${new Date(record.modified).toLocaleString()}`;
+
+// Tell the user that something couldn't be done with the graph library, e.g.
+// because storage is full. Use as the `.catch` of a promise.
+const reportLibraryError = action => (e) => {
+  console.error(`Could not ${action}:`, e);
+  showMessage(`Couldn't ${action}`, e.message || String(e));
+};
+
+// Make a button for a row in the panel
+function libraryButton(text, title, onclick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = text;
+  btn.title = title;
+  btn.addEventListener('click', onclick);
+  return btn;
+}
+
+// Build the row for a single saved graph
+function libraryRow(record, modal, refresh) {
+  const row = document.createElement('li');
+  const name = document.createElement('div');
+  name.className = 'library-name';
+  name.textContent = record.name;
+  const details = document.createElement('div');
+  details.className = 'library-details';
+  details.textContent = describeRecord(record);
+
+  const actions = document.createElement('div');
+  actions.className = 'library-actions';
+  actions.appendChild(libraryButton('Open', 'Open this graph', () => {
+    modal.close();
+    openRecord(record);
+  }));
+  actions.appendChild(libraryButton('Rename', 'Rename this graph', () => {
+    const newName = window.prompt('New name for this graph:', record.name);
+    if (newName && newName.trim()) {
+      dbPut('graphs', { ...record, name: newName.trim() }).then(refresh)
+        .catch(reportLibraryError('rename this graph'));
+    }
+  }));
+  actions.appendChild(libraryButton('Duplicate', 'Save a copy of this graph', () => {
+    const copy = { ...record, name: `${record.name} (copy)`, modified: Date.now() };
+    delete copy.id;
+    dbPut('graphs', copy).then(refresh)
+      .catch(reportLibraryError('duplicate this graph'));
+  }));
+  actions.appendChild(libraryButton('Delete', 'Delete this graph', () => {
+    if (window.confirm(`Delete "${record.name}"? This can't be undone.`)) {
+      dbDelete('graphs', record.id).then(refresh)
+        .catch(reportLibraryError('delete this graph'));
+    }
+  }));
+
+  row.appendChild(name);
+  row.appendChild(details);
+  row.appendChild(actions);
+  return row;
+}
+
+// Present the "My graphs" panel
+function openLibrary() {
+  const panel = document.createElement('div');
+  panel.className = 'panel library';
+  panel.innerHTML = `
+    <h1>My graphs</h1>
+    <form class="library-save">
+      <input type="text" placeholder="Name this graph..." required>
+      <button type="submit">Save current graph</button>
+    </form>
+    <div class="library-recover"></div>
+    <ul class="library-list"></ul>`;
+  const modal = new Modal(panel);
+
+  const form = panel.querySelector('.library-save');
+  const nameInput = form.querySelector('input');
+  const list = panel.querySelector('.library-list');
+  const recover = panel.querySelector('.library-recover');
+
+  function refresh() {
+    return dbGetAll('graphs').then((records) => {
+      list.innerHTML = '';
+      if (!records.length) {
+        list.innerHTML = '<li class="library-empty">No saved graphs yet.</li>';
+      }
+      // Most recently saved first
+      records.sort((a, b) => b.modified - a.modified)
+        .forEach(record => list.appendChild(libraryRow(record, modal, refresh)));
+    });
+  }
+
+  // Offer to bring back the autosaved graph, e.g. after a crash or an accidental clear
+  dbGet('autosave', AUTOSAVE_KEY).then((record) => {
+    if (!record) return;
+    const text = document.createElement('span');
+    text.textContent = `Last working graph: ${describeRecord(record)}`;
+    recover.appendChild(text);
+    recover.appendChild(libraryButton('Recover', 'Reopen the autosaved graph', () => {
+      modal.close();
+      openRecord(record);
+    }));
+  }).catch(reportLibraryError('look for an autosaved graph'));
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!nodes || !nodes.length) {
+      window.alert('There is no graph to save yet.');
+      return;
+    }
+    storeGraph(nameInput.value.trim()).then(() => {
+      nameInput.value = '';
+      return refresh();
+    }).catch(reportLibraryError('save this graph'));
+  });
+
+  refresh().catch((e) => {
+    list.innerHTML = '<li class="library-empty">Saved graphs are unavailable in this browser.</li>';
+    console.error('Could not open the graph library:', e);
+  });
+  modal.present();
+}
@@ -84,6 +84,7 @@ shepherd.addStep({
 shepherd.addStep({
   text: [
     'Keep expanding nodes to build a map and connect topics!',
+    'To connect two topics right away, enter both and press <i class="icon ion-link"></i> to find a path of links between them.',
   ],
   buttons: [
     {
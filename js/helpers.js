@@ -1,4 +1,4 @@
-/* global vis, network, nodes, edges */
+/* global vis, network, nodes, edges, getSite, describeBio, getBioImageUrl, getNodeColor, getLayoutFixed, getRelationColor */
 // This script contains helper functions that are used by other scripts to
 // perform simple common actions.
 
@@ -46,6 +46,10 @@ function getEdgeColor(level) {
   const nodecolor = getColor(level);
   return vis.util.parseColor(nodecolor).border;
 }
+// Colors of labels and edges, and of those dimmed by a highlight or a filter
+const FONT_COLOR = 'rgba(0, 0, 0, 1)';
+const DIMMED_FONT_COLOR = 'rgba(0, 0, 0, 0.25)';
+const DIMMED_EDGE_COLOR = 'rgba(122, 206, 247, 0.4)';
 
 
 // Break a sentence into separate lines, trying to fit each line within `limit`
@@ -63,14 +67,47 @@ function wordwrap(text, limit) {
 // Un-word wrap a sentence by replacing line breaks with spaces.
 function unwrap(text) { return text.replace(/\n/g, ' '); }
 
-// Get a "normalized" form of a page name to use as an ID. This is designed to
-// minimize the number of duplicate nodes found in the network.
-function getNormalizedId(id) {
-  return id
-    .toLowerCase() // Lowercase
-    .replace(/\s+/g, ' ') // Reduce spaces
-    .replace(/[^A-Za-z\d% ]/g, '') // Remove non-alphanumeric characters
-    .replace(/s$/, ''); // Remove trailing s
+// Escape text for use in HTML, like the tooltips of nodes and edges, which
+// vis.js shows as HTML
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Get the canonical form of a page name to use as an ID, the same way that
+// MediaWiki normalizes titles. Two names get the same ID only if they are the
+// same page (redirects aside, which `renameNode` takes care of). Pass
+// `caseSensitive` for titles from a wiki other than the current one.
+function getNormalizedId(id, caseSensitive = getSite().caseSensitive) {
+  const title = id
+    .normalize('NFC') // Compose accents, so that "ö" is always one character
+    .split('#')[0] // Remove section anchor
+    .replace(/[\s_]+/g, ' ') // Underscores are spaces, and reduce spaces
+    .trim();
+  // Most wikis uppercase the first letter, which may be outside the Basic Multilingual Plane
+  if (caseSensitive) return title;
+  const [first = '', ...rest] = title;
+  return first.toUpperCase() + rest.join('');
+}
+
+// Whether the 'People Only' switch in the top bar is on
+function isPeopleMode() {
+  const peopleModeCheckbox = document.getElementById('people-mode');
+  return Boolean(peopleModeCheckbox && peopleModeCheckbox.checked);
+}
+
+// Save text as a file on the user's computer
+function downloadFile(filename, content, type = 'text/plain') {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // A cross-browser compatible alternative to Math.sign, because support is atrocious
@@ -83,11 +120,10 @@ function sign(x) {
 // == NETWORK SHORTCUTS == //
 
 // Color nodes from a list based on their level. If color=1, highlight color will be used.
+// Otherwise, nodes get the color of the chosen color mode.
 function colorNodes(ns, color) {
-  const colorFunc = color ? getYellowColor : getColor;
-
   for (let i = 0; i < ns.length; i += 1) {
-    ns[i].color = colorFunc(ns[i].level);
+    ns[i].color = color ? getYellowColor(ns[i].level) : getNodeColor(ns[i]);
     // Prevent snapping
     delete ns[i].x;
     delete ns[i].y;
@@ -96,6 +132,44 @@ function colorNodes(ns, color) {
   window.isReset = false;
 }
 
+// Get the node properties that pin a node in place (or release it). Pinned
+// nodes are drawn with a thicker border. Layouts like the timeline fix nodes
+// on an axis whether they are pinned or not.
+function getPinnedProperties(pinned) {
+  return { pinned, fixed: getLayoutFixed(pinned), borderWidth: pinned ? 3 : 1 };
+}
+
+// Get the node properties that mark a node as having no article in the
+// graph's language, after translating a graph. Drawn with a dashed border.
+function getUntranslatedProperties() {
+  return {
+    untranslated: true,
+    shapeProperties: { borderDashes: [4, 4] },
+    title: 'No article in this language',
+  };
+}
+
+// Get the tooltip of a node: what is known about the person, and why people
+// mode included it
+function getNodeTitle({ why, bio }) {
+  const lines = bio ? describeBio(bio).map(escapeHtml) : [];
+  if (why) lines.push(`Included because: ${escapeHtml(why)}`);
+  if (!lines.length) return undefined;
+  const image = bio && bio.image ? `<img src="${escapeHtml(getBioImageUrl(bio, 80))}" alt="" style="float: left; margin-right: 6px; max-height: 80px;">` : '';
+  return `${image}${lines.join('<br>')}`;
+}
+
+// Get the properties of a node that record why people mode included it
+function getReasonProperties(why) {
+  return { why, title: getNodeTitle({ why }) };
+}
+
+// Get the properties of a node that record what Wikidata knows about the
+// person, as found by `enrichBiographies`. `why` is kept in the tooltip.
+function getBioProperties(bio, why) {
+  return { bio, title: getNodeTitle({ why, bio }) };
+}
+
 // Set the width of some edges.
 function edgesWidth(es, width) {
   for (let i = 0; i < es.length; i += 1) {
@@ -105,6 +179,30 @@ function edgesWidth(es, width) {
   window.isReset = false;
 }
 
+// Get the properties that mark an edge as found through incoming links, drawn
+// dashed and with an arrow towards the page linked to
+function getIncomingEdgeProperties() {
+  return { incoming: true, dashes: true, arrows: { to: { enabled: true, scaleFactor: 0.5 } } };
+}
+
+// Get the properties of an edge that record the sentence its link came from,
+// shown when hovering over the edge
+function getContextProperties(context) {
+  return { context, title: escapeHtml(context) };
+}
+
+// Get the node whose level decides an edge's color: the new node of the
+// expansion that created it
+const getEdgeColorNode = edge => nodes.get(edge.incoming ? edge.from : edge.to);
+
+// Get the color of an edge when nothing dims it: the color of its relation,
+// or otherwise one that goes with the level of its node. Null if that node is gone.
+function getRestingEdgeColor(edge) {
+  if (edge.relation) return getRelationColor(edge.relation);
+  const node = getEdgeColorNode(edge);
+  return node ? getEdgeColor(node.level) : null;
+}
+
 // Get the id of the edge connecting two nodes a and b
 function getEdgeConnecting(a, b) {
   const edge = edges.get({
@@ -184,4 +282,11 @@ function startLoading() {
 function stopLoading() {
   const loader = document.getElementById('loading');
   if (loader) loader.classList.add('loading-hidden');
+  setLoadingLabel('');
+}
+
+// Show what is being loaded next to the loading indicator
+function setLoadingLabel(text) {
+  const label = document.querySelector('#loading .loading-label');
+  if (label) label.textContent = text;
 }
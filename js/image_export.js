@@ -0,0 +1,183 @@
+/* global vis, nodes, edges, network, container, options, Modal, showMessage, getNodeColor, getEdgeColor, getRelationColor */
+/* global downloadFile, escapeXml, getExportName */
+// This script exports the map as an image. The image is drawn as SVG from the
+// node positions, labels and colors, and rasterized to PNG at any scale, so
+// that it stays sharp in slides and print.
+
+const MAX_CANVAS_SIZE = 16384; // Largest canvas side browsers reliably allow
+const IMAGE_PADDING = 40;
+
+// Get the fill and border of a node color as stored on a vis.js node
+function getNodeColors(color) {
+  if (color && typeof color === 'object') {
+    return { background: color.background, border: color.border || color.background };
+  }
+  return vis.util.parseColor(color);
+}
+
+// Get what vis.js has computed for a node: its radius and label size. These
+// come from the node's value through the scaling options.
+function getDrawnSize(id) {
+  const body = network.body.nodes[id];
+  return {
+    radius: body ? body.options.size : 10,
+    fontSize: body && body.options.font ? body.options.font.size : 14,
+  };
+}
+
+// Build an SVG drawing of the network.
+// - `viewport`: only draw what is currently visible, instead of the whole graph
+// - `background`: a CSS color, or null for a transparent background
+// - `highlight`: keep the traceback highlighting and dimming currently shown
+function buildSvg({ viewport = false, background = '#ffffff', highlight = true } = {}) {
+  const positions = network.getPositions();
+  const nodeList = nodes.get().filter(n => positions[n.id] && !n.hidden); // Filtered out nodes aren't drawn
+  const byId = {};
+  nodeList.forEach((n) => { byId[n.id] = n; });
+
+  // Work out the area to draw, in canvas coordinates
+  let left; let top; let right; let bottom;
+  if (viewport) {
+    ({ x: left, y: top } = network.DOMtoCanvas({ x: 0, y: 0 }));
+    ({ x: right, y: bottom } = network.DOMtoCanvas({ x: container.clientWidth, y: container.clientHeight }));
+  } else {
+    left = Infinity; top = Infinity; right = -Infinity; bottom = -Infinity;
+    nodeList.forEach((n) => {
+      const { x, y } = positions[n.id];
+      const { radius, fontSize } = getDrawnSize(n.id);
+      const lines = n.label.split('\n');
+      const halfWidth = Math.max(radius, (Math.max(...lines.map(l => l.length)) * fontSize * 0.3));
+      left = Math.min(left, x - halfWidth);
+      right = Math.max(right, x + halfWidth);
+      top = Math.min(top, y - radius);
+      bottom = Math.max(bottom, y + radius + (lines.length * fontSize * 1.2));
+    });
+    left -= IMAGE_PADDING; top -= IMAGE_PADDING; right += IMAGE_PADDING; bottom += IMAGE_PADDING;
+  }
+  const width = Math.ceil(right - left);
+  const height = Math.ceil(bottom - top);
+  const font = options.nodes.font.face;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${left} ${top} ${width} ${height}">`,
+  ];
+  if (background) {
+    parts.push(`<rect x="${left}" y="${top}" width="${width}" height="${height}" fill="${background}"/>`);
+  }
+
+  // Edges go underneath the nodes
+  parts.push('<g stroke-linecap="round">');
+  edges.get().forEach((e) => {
+    const from = positions[e.from];
+    const to = positions[e.to];
+    if (!from || !to || !byId[e.from] || !byId[e.to]) return;
+    let color = e.relation ? getRelationColor(e.relation) : getEdgeColor(e.level);
+    let strokeWidth = 1;
+    if (highlight) {
+      strokeWidth = e.width || 1;
+      if (typeof e.color === 'string') color = e.color;
+      else if (e.color && e.color.inherit === 'to') color = getNodeColors(byId[e.to].color).border;
+    }
+    const dashes = e.incoming ? ' stroke-dasharray="5 5"' : '';
+    parts.push(`<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="${color}" stroke-width="${strokeWidth}"${dashes}/>`);
+  });
+  parts.push('</g>');
+
+  // Nodes, with their labels underneath
+  parts.push(`<g font-family="${escapeXml(font)}" text-anchor="middle">`);
+  nodeList.forEach((n) => {
+    const { x, y } = positions[n.id];
+    const { radius, fontSize } = getDrawnSize(n.id);
+    const colors = getNodeColors(highlight ? n.color : getNodeColor(n));
+    const fontColor = highlight && n.font && n.font.color ? n.font.color : 'rgba(0, 0, 0, 1)';
+    parts.push(`<circle cx="${x}" cy="${y}" r="${radius}" fill="${colors.background}" stroke="${colors.border}" stroke-width="${n.borderWidth || 1}"/>`);
+    const lines = n.label.split('\n').map((line, i) =>
+      `<tspan x="${x}" dy="${i === 0 ? 0 : 1.2}em">${escapeXml(line)}</tspan>`);
+    parts.push(`<text y="${y + radius + fontSize}" font-size="${fontSize}" fill="${fontColor}">${lines.join('')}</text>`);
+  });
+  parts.push('</g>', '</svg>');
+
+  return { svg: parts.join('\n'), width, height };
+}
+
+// Rasterize an SVG drawing to a PNG blob, `scale` times its size
+function svgToPng({ svg, width, height }, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image is too large.'))), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The map could not be drawn.'));
+    };
+    img.src = url;
+  });
+}
+
+// Present the image export options
+function openImageExportPanel() {
+  const panel = document.createElement('div');
+  panel.className = 'panel image-export';
+  panel.innerHTML = `
+    <h1>Export image</h1>
+    <fieldset>
+      <legend>Area</legend>
+      <label><input type="radio" name="image-area" value="graph" checked> Whole graph</label>
+      <label><input type="radio" name="image-area" value="viewport"> Visible area only</label>
+    </fieldset>
+    <fieldset>
+      <legend>Background</legend>
+      <label><input type="radio" name="image-background" value="white" checked> White</label>
+      <label><input type="radio" name="image-background" value="transparent"> Transparent</label>
+    </fieldset>
+    <fieldset>
+      <legend>Options</legend>
+      <label>PNG scale
+        <select class="image-scale">
+          <option value="1">1&times;</option>
+          <option value="2" selected>2&times;</option>
+          <option value="3">3&times;</option>
+          <option value="4">4&times;</option>
+        </select>
+      </label>
+      <label><input type="checkbox" class="image-highlight" checked> Keep the current highlighting</label>
+    </fieldset>
+    <div class="image-buttons">
+      <button type="button" class="image-png">Download PNG</button>
+      <button type="button" class="image-svg">Download SVG</button>
+    </div>`;
+  const modal = new Modal(panel);
+
+  const getOptions = () => ({
+    viewport: panel.querySelector('input[name=image-area]:checked').value === 'viewport',
+    background: panel.querySelector('input[name=image-background]:checked').value === 'white' ? '#ffffff' : null,
+    highlight: panel.querySelector('.image-highlight').checked,
+  });
+
+  panel.querySelector('.image-svg').addEventListener('click', () => {
+    const { svg } = buildSvg(getOptions());
+    downloadFile(`${getExportName()}.svg`, svg, 'image/svg+xml');
+    modal.close();
+  });
+
+  panel.querySelector('.image-png').addEventListener('click', () => {
+    const drawing = buildSvg(getOptions());
+    let scale = parseFloat(panel.querySelector('.image-scale').value);
+    // Very large graphs can't be drawn at high scales
+    scale = Math.min(scale, MAX_CANVAS_SIZE / drawing.width, MAX_CANVAS_SIZE / drawing.height);
+    modal.close();
+    svgToPng(drawing, scale)
+      .then(blob => downloadFile(`${getExportName()}.png`, blob))
+      .catch(e => showMessage("Couldn't export the image", e.message));
+  });
+
+  modal.present();
+}
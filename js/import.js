@@ -0,0 +1,309 @@
+/* global nodes, Modal, showMessage, getNormalizedId, wordwrap, migrateGraph, getSiteJson, GRAPH_FORMAT_VERSION */
+/* global resetNetworkFromJson, mergeNetworkFromJson */
+// This script imports graphs from files, either picked in the import panel or
+// dropped onto the page. Besides Wikipedia Map's own JSON format, it reads
+// GraphML and CSV edge lists, converting them to that format first.
+
+
+// -- CONVERTING EDGE LISTS -- //
+
+// Build graph data in Wikipedia Map's format from a generic list of nodes and edges.
+// `nodeInfo` maps the file's node IDs to `{ label, level, parent, start }`, where
+// everything but the label is optional. `pairs` is a list of `{ from, to }` in
+// the same IDs. Nodes without a level and parent get them from a breadth-first
+// search starting at the start nodes (or nodes that nothing links to).
+function graphFromEdgeList(nodeInfo, pairs) {
+  // Make sure every node used by an edge exists
+  pairs.forEach(({ from, to }) => {
+    [from, to].forEach((key) => {
+      if (!nodeInfo.has(key)) nodeInfo.set(key, { label: key });
+    });
+  });
+  if (!nodeInfo.size) throw new Error('The file contains no nodes.');
+
+  const keys = Array.from(nodeInfo.keys());
+  const idOf = key => getNormalizedId(nodeInfo.get(key).label);
+  const outgoing = new Map(keys.map(k => [k, []]));
+  const incoming = new Map(keys.map(k => [k, []]));
+  pairs.forEach(({ from, to }) => {
+    outgoing.get(from).push(to);
+    incoming.get(to).push(from);
+  });
+
+  const hasTree = keys.every(k => nodeInfo.get(k).level !== undefined && nodeInfo.has(nodeInfo.get(k).parent));
+  const level = new Map();
+  const parent = new Map();
+  if (hasTree) {
+    keys.forEach((k) => {
+      level.set(k, nodeInfo.get(k).level);
+      parent.set(k, nodeInfo.get(k).parent);
+    });
+  } else {
+    let starts = keys.filter(k => nodeInfo.get(k).start);
+    if (!starts.length) starts = keys.filter(k => !incoming.get(k).length);
+    if (!starts.length) starts = [keys[0]];
+
+    // Breadth-first search from `roots`, which become start pages unless already reached
+    const visit = (roots, neighbors) => {
+      const queue = [...roots];
+      roots.forEach((k) => {
+        if (!level.has(k)) {
+          level.set(k, 0);
+          parent.set(k, k);
+        }
+      });
+      while (queue.length) {
+        const k = queue.shift();
+        neighbors(k).forEach((n) => {
+          if (!level.has(n)) {
+            level.set(n, level.get(k) + 1);
+            parent.set(n, k);
+            queue.push(n);
+          }
+        });
+      }
+    };
+    // Follow links forwards first, then backwards for anything not reached that way
+    visit(starts, k => outgoing.get(k));
+    visit(Array.from(level.keys()), k => incoming.get(k));
+    // Disconnected parts of the graph get a start page of their own
+    keys.forEach((k) => {
+      if (!level.has(k)) visit([k], n => outgoing.get(n).concat(incoming.get(n)));
+    });
+  }
+
+  // Different titles in the file can share an ID; keep the first of them
+  const seen = new Set();
+  const uniqueKeys = keys.filter((k) => {
+    if (seen.has(idOf(k))) return false;
+    seen.add(idOf(k));
+    return true;
+  });
+
+  const isTreeEdge = (from, to) => parent.get(to) === from && from !== to;
+  return {
+    version: GRAPH_FORMAT_VERSION,
+    ...getSiteJson(), // The titles are taken to be from the current wiki
+    nodes: uniqueKeys.map(k => ({
+      a: wordwrap(nodeInfo.get(k).label, level.get(k) === 0 ? 20 : 15),
+      b: level.get(k),
+      c: idOf(parent.get(k)),
+    })),
+    startpages: uniqueKeys.filter(k => parent.get(k) === k).map(idOf),
+    edges: pairs
+      .filter(({ from, to }) => !isTreeEdge(from, to))
+      .map(({ from, to }) => ({ a: idOf(from), b: idOf(to), c: level.get(to) })),
+  };
+}
+
+
+// -- FILE FORMATS -- //
+
+// Read a graph exported as GraphML (by Wikipedia Map, Gephi, yEd...)
+function parseGraphML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length || !doc.getElementsByTagName('graphml').length) {
+    throw new Error('The file is not valid GraphML.');
+  }
+
+  // Map <key> IDs to attribute names, e.g. "d0" -> "label"
+  const keyNames = {};
+  Array.from(doc.getElementsByTagName('key')).forEach((key) => {
+    keyNames[key.getAttribute('id')] = key.getAttribute('attr.name') || key.getAttribute('id');
+  });
+  const readData = (elem) => {
+    const values = {};
+    Array.from(elem.getElementsByTagName('data')).forEach((d) => {
+      values[keyNames[d.getAttribute('key')] || d.getAttribute('key')] = d.textContent.trim();
+    });
+    return values;
+  };
+
+  const nodeInfo = new Map();
+  Array.from(doc.getElementsByTagName('node')).forEach((elem) => {
+    const id = elem.getAttribute('id');
+    const values = readData(elem);
+    nodeInfo.set(id, {
+      label: values.label || values.name || values.title || id,
+      level: values.level === undefined ? undefined : parseInt(values.level, 10),
+      parent: values.parent,
+      start: values.start === 'true',
+    });
+  });
+  const pairs = Array.from(doc.getElementsByTagName('edge')).map(elem => ({
+    from: elem.getAttribute('source'),
+    to: elem.getAttribute('target'),
+  }));
+  return graphFromEdgeList(nodeInfo, pairs);
+}
+
+// Split CSV text into rows of fields (RFC 4180)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+// Read a CSV edge list. The first two columns are used unless a header row
+// names "source" and "target" (or "from" and "to") columns.
+function parseCsvEdgeList(text) {
+  const rows = parseCsvRows(text);
+  if (!rows.length) throw new Error('The CSV file is empty.');
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  let fromCol = header.findIndex(h => h === 'source' || h === 'from');
+  let toCol = header.findIndex(h => h === 'target' || h === 'to');
+  if (fromCol !== -1 && toCol !== -1) {
+    rows.shift();
+  } else {
+    fromCol = 0;
+    toCol = 1;
+  }
+
+  const pairs = rows
+    .filter(r => r[fromCol] && r[toCol] && r[fromCol].trim() && r[toCol].trim())
+    .map(r => ({ from: r[fromCol].trim(), to: r[toCol].trim() }));
+  if (!pairs.length) throw new Error('The CSV file has no edges with both a source and a target.');
+  return graphFromEdgeList(new Map(), pairs);
+}
+
+// Convert the contents of a file to graph data in Wikipedia Map's format
+function parseGraphFile(filename, text) {
+  const name = filename.toLowerCase();
+  const start = text.trimStart();
+  if (name.endsWith('.json') || start.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not valid JSON.');
+    }
+    return migrateGraph(data);
+  }
+  if (name.endsWith('.graphml') || name.endsWith('.xml') || start.startsWith('<')) return parseGraphML(text);
+  if (name.endsWith('.csv') || name.endsWith('.txt')) return parseCsvEdgeList(text);
+  throw new Error('Only Wikipedia Map JSON, GraphML and CSV edge list files can be imported.');
+}
+
+
+// -- IMPORTING -- //
+
+// Read a file and put its graph on the canvas, either replacing the current
+// graph or merged into it.
+function importFile(file, merge) {
+  return file.text()
+    .then((text) => {
+      const data = parseGraphFile(file.name, text);
+      if (merge) mergeNetworkFromJson(data);
+      else resetNetworkFromJson(data);
+    })
+    .catch(e => showMessage(`Couldn't import ${file.name}`, e.message));
+}
+
+const hasGraph = () => Boolean(nodes && nodes.length);
+
+// Present the import panel
+function openImportPanel() {
+  const panel = document.createElement('div');
+  panel.className = 'panel import';
+  panel.innerHTML = `
+    <h1>Import graph</h1>
+    <p>Open a Wikipedia Map JSON file, a GraphML file or a CSV edge list.
+      You can also drop a file anywhere on the page.</p>
+    <input type="file" accept=".json,.graphml,.xml,.csv,.txt">
+    <label><input type="checkbox" class="import-merge"> Merge into current graph</label>
+    <button type="button">Import</button>`;
+  const fileInput = panel.querySelector('input[type=file]');
+  const mergeBox = panel.querySelector('.import-merge');
+  mergeBox.disabled = !hasGraph();
+  mergeBox.checked = hasGraph();
+
+  const modal = new Modal(panel);
+  panel.querySelector('button').addEventListener('click', () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    modal.close();
+    importFile(file, mergeBox.checked);
+  });
+  modal.present();
+}
+
+// Ask whether a dropped file should replace or be merged into the current graph
+function askHowToImport(file) {
+  const panel = document.createElement('div');
+  panel.className = 'panel import';
+  panel.innerHTML = `
+    <h1>Import graph</h1>
+    <p></p>
+    <div class="import-choices">
+      <button type="button" class="import-replace">Replace current graph</button>
+      <button type="button" class="import-merge">Merge into current graph</button>
+    </div>`;
+  panel.querySelector('p').textContent = `What should be done with ${file.name}?`;
+  const modal = new Modal(panel);
+  panel.querySelector('.import-replace').addEventListener('click', () => {
+    modal.close();
+    importFile(file, false);
+  });
+  panel.querySelector('.import-merge').addEventListener('click', () => {
+    modal.close();
+    importFile(file, true);
+  });
+  modal.present();
+}
+
+// Accept graph files dropped anywhere on the page
+function bindFileDrop() {
+  const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+  document.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.add('dropping');
+  });
+  document.addEventListener('dragleave', (e) => {
+    // Only when leaving the window, not when moving between elements
+    if (!e.relatedTarget) document.body.classList.remove('dropping');
+  });
+  document.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove('dropping');
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (hasGraph()) askHowToImport(file);
+    else importFile(file, false);
+  });
+}
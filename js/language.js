@@ -0,0 +1,296 @@
+/* global nodes, Modal, showMessage, queryApi, getSite, setSite, wikipediaSite, fetchSiteInfo, getSetting, setSetting */ // eslint-disable-line max-len
+/* global getNormalizedId, unwrap, wordwrap, networkToJson, resetNetworkFromJson, clearNetwork */
+/* global startLoading, stopLoading */
+// This script lets users pick which wiki to explore: a language edition of
+// Wikipedia, or any other MediaWiki wiki. Graphs can be translated between
+// languages of Wikipedia through interlanguage links.
+
+// Language editions offered in the top bar, by language code
+const LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+  fr: 'Français',
+  ja: '日本語',
+  es: 'Español',
+  it: 'Italiano',
+  nl: 'Nederlands',
+  pl: 'Polski',
+  pt: 'Português',
+  ru: 'Русский',
+  sv: 'Svenska',
+  uk: 'Українська',
+  zh: '中文',
+  ar: 'العربية',
+  ko: '한국어',
+};
+
+
+// -- TRANSLATION -- //
+
+// Get a map from each title in a batch of up to 50 to its equivalent title in
+// the `target` language. Titles without an equivalent article are left out.
+async function getBatchTranslations(batch, target) {
+  const res = await queryApi({
+    action: 'query',
+    titles: batch.join('|'),
+    prop: 'langlinks',
+    lllang: target,
+    lllimit: 'max',
+    redirects: 1,
+  });
+  const query = res.query || {};
+  // Follow the API's normalizations and redirects back to the titles we asked for
+  const renamed = {};
+  (query.normalized || []).concat(query.redirects || []).forEach(({ from, to }) => {
+    renamed[from] = to;
+  });
+  const resolve = (title) => {
+    let t = title;
+    while (renamed[t] && renamed[t] !== t) t = renamed[t];
+    return t;
+  };
+  const langlinks = {};
+  Object.values(query.pages || {}).forEach((page) => {
+    if (page.langlinks && page.langlinks[0]) langlinks[page.title] = page.langlinks[0]['*'];
+  });
+  const translations = new Map();
+  batch.forEach((title) => {
+    const translated = langlinks[resolve(title)];
+    if (translated) translations.set(title, translated);
+  });
+  return translations;
+}
+
+// Get a map from each title to its equivalent title in the `target` language.
+// Batches are sent in parallel.
+async function getTranslations(titles, target) {
+  const BATCH_SIZE = 50; // Wikipedia API limit
+  const batches = [];
+  for (let i = 0; i < titles.length; i += BATCH_SIZE) {
+    batches.push(titles.slice(i, i + BATCH_SIZE));
+  }
+  const results = await Promise.all(batches.map(batch => getBatchTranslations(batch, target)));
+  return new Map(results.flatMap(translations => Array.from(translations)));
+}
+
+// Replace the current graph with a copy in the `target` language, keeping its
+// layout. Nodes without an equivalent article keep their title and are marked.
+async function translateGraph(target) {
+  const data = JSON.parse(networkToJson({ layout: true }));
+  const titles = data.nodes.map(n => unwrap(n.a));
+  const translations = await getTranslations(titles, target);
+
+  // Work out every node's new ID. Nodes whose translations collide are merged.
+  const newIds = {};
+  const seen = new Set();
+  const translatedNodes = [];
+  data.nodes.forEach((node, i) => {
+    const title = titles[i];
+    const newTitle = translations.get(title) || title;
+    const newId = getNormalizedId(newTitle);
+    newIds[getNormalizedId(title)] = newId;
+    if (seen.has(newId)) return;
+    seen.add(newId);
+    const newNode = { ...node, a: wordwrap(newTitle, node.b === 0 ? 20 : 15) };
+    if (translations.has(title)) delete newNode.u;
+    else newNode.u = 1;
+    translatedNodes.push(newNode);
+  });
+  const translate = id => (newIds[id] === undefined ? id : newIds[id]);
+
+  const translated = {
+    ...data,
+    lang: target,
+    nodes: translatedNodes.map(n => ({ ...n, c: translate(n.c) })),
+    startpages: [...new Set(data.startpages.map(translate))],
+    edges: data.edges
+      .map(e => ({ ...e, a: translate(e.a), b: translate(e.b) }))
+      .filter(e => e.a !== e.b),
+    selected: data.selected && translate(data.selected),
+  };
+  resetNetworkFromJson(translated);
+  return translations.size;
+}
+
+
+// -- WIKI SELECT -- //
+
+const OTHER_WIKI = 'other'; // Value of the select option for wikis that aren't Wikipedia
+
+// Show the current wiki in the top bar, adding it to the choices if needed
+function showSiteInSelect() {
+  const select = document.getElementById('language');
+  const current = getSite();
+  const value = current.wikipedia ? current.lang : current.api;
+  if (!Array.from(select.options).some(o => o.value === value)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = current.wikipedia ? current.lang : current.name;
+    select.insertBefore(option, select.querySelector(`option[value="${OTHER_WIKI}"]`));
+  }
+  select.value = value;
+}
+
+// Switch to a wiki and show it in the top bar
+function selectSite(newSite) {
+  setSite(newSite);
+  showSiteInSelect();
+}
+function selectLanguage(lang) { selectSite(wikipediaSite(lang)); }
+
+// The settings of a site that are worth saving; namespaces are looked up again
+const storableSite = ({ name, lang, api, article, wikipedia, caseSensitive }) =>
+  ({ name, lang, api, article, wikipedia, caseSensitive });
+
+// Ask what to do with the current graph when switching wikis. Graphs can only
+// be translated between language editions of Wikipedia. Resolves to true if
+// the switch went ahead.
+function askToSwitchSite(target) {
+  const canTranslate = getSite().wikipedia && target.wikipedia;
+  return new Promise((resolve) => {
+    const panel = document.createElement('div');
+    panel.className = 'panel language';
+    panel.innerHTML = `
+      <h1></h1>
+      <p>The current graph was made from another wiki. ${canTranslate ? 'Translate it, or start a new graph?' : 'Start a new graph?'}</p>
+      <div class="language-choices">
+        ${canTranslate ? '<button type="button" class="language-translate">Translate this graph</button>' : ''}
+        <button type="button" class="language-new">Start a new graph</button>
+        <button type="button" class="language-cancel">Cancel</button>
+      </div>`;
+    panel.querySelector('h1').textContent =
+      `Switch to ${target.wikipedia ? LANGUAGES[target.lang] || target.lang : target.name}?`;
+    const modal = new Modal(panel, false);
+
+    if (canTranslate) {
+      panel.querySelector('.language-translate').addEventListener('click', () => {
+        modal.close();
+        startLoading();
+        translateGraph(target.lang)
+          .then((count) => {
+            stopLoading();
+            const missing = nodes.get({ filter: n => n.untranslated }).length;
+            if (missing) {
+              showMessage('Graph translated', `${count} nodes were translated. ${missing} have no article in this language and are drawn with a dashed border.`);
+            }
+            resolve(true);
+          })
+          .catch((e) => {
+            stopLoading();
+            showMessage("Couldn't translate the graph", e.message);
+            resolve(false);
+          });
+      });
+    }
+    panel.querySelector('.language-new').addEventListener('click', () => {
+      modal.close();
+      selectSite(target);
+      clearNetwork();
+      resolve(true);
+    });
+    panel.querySelector('.language-cancel').addEventListener('click', () => {
+      modal.close();
+      resolve(false);
+    });
+    modal.present();
+  });
+}
+
+// Ask for the API endpoint of a wiki that isn't Wikipedia. Resolves to the
+// wiki's settings, or null if cancelled.
+function askForOtherWiki() {
+  return new Promise((resolve) => {
+    const panel = document.createElement('div');
+    panel.className = 'panel language';
+    panel.innerHTML = `
+      <h1>Explore another wiki</h1>
+      <p>Enter the API endpoint of any MediaWiki wiki, such as a Fandom wiki or a local
+        installation. It usually ends in <code>api.php</code>.</p>
+      <form class="other-wiki">
+        <input type="text" placeholder="https://starwars.fandom.com/api.php" required>
+        <button type="submit">Connect</button>
+      </form>
+      <p class="other-wiki-error"></p>
+      <div class="language-choices">
+        <button type="button" class="language-cancel">Cancel</button>
+      </div>`;
+    const modal = new Modal(panel, false);
+    const form = panel.querySelector('form');
+    const input = form.querySelector('input');
+    const error = panel.querySelector('.other-wiki-error');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      error.textContent = 'Connecting...';
+      let api;
+      try {
+        api = new URL(input.value.trim()).href;
+      } catch (err) {
+        error.textContent = 'That is not a valid URL.';
+        return;
+      }
+      fetchSiteInfo(api)
+        .then((info) => {
+          modal.close();
+          resolve(info);
+        })
+        .catch(() => {
+          error.textContent = `Couldn't reach a MediaWiki API at ${api}. Check the address, and that the wiki allows cross-origin requests.`;
+        });
+    });
+    panel.querySelector('.language-cancel').addEventListener('click', () => {
+      modal.close();
+      resolve(null);
+    });
+    modal.present();
+    input.focus();
+  });
+}
+
+// Fill the wiki select in the top bar and react to changes
+function bindLanguageSelect() {
+  const select = document.getElementById('language');
+  Object.keys(LANGUAGES).forEach((code) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = `${code} – ${LANGUAGES[code]}`;
+    select.appendChild(option);
+  });
+  const other = document.createElement('option');
+  other.value = OTHER_WIKI;
+  other.textContent = 'Other wiki...';
+  select.appendChild(other);
+
+  // Older versions only saved a language
+  const saved = getSetting('site', null);
+  if (saved) selectSite(saved);
+  else selectLanguage(getSetting('language', 'en'));
+
+  select.addEventListener('change', () => {
+    const { value } = select;
+    const known = getSetting('otherWikis', []).find(w => w.api === value);
+    let target;
+    if (value === OTHER_WIKI) target = askForOtherWiki();
+    else if (known) target = Promise.resolve(known);
+    else target = Promise.resolve(wikipediaSite(value));
+
+    target
+      .then((newSite) => {
+        if (!newSite) return false;
+        if (nodes && nodes.length) {
+          return askToSwitchSite(newSite).then(ok => ok && newSite);
+        }
+        selectSite(newSite);
+        return newSite;
+      })
+      .then((newSite) => {
+        // Only wikis that were switched to are remembered
+        if (newSite && !newSite.wikipedia) {
+          const others = getSetting('otherWikis', []).filter(w => w.api !== newSite.api);
+          setSetting('otherWikis', [...others, storableSite(newSite)]);
+        }
+        if (newSite) setSetting('site', storableSite(getSite()));
+        showSiteInSelect();
+      });
+  });
+}
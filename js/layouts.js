@@ -0,0 +1,234 @@
+/* global nodes, edges, network, options, container, getSetting, setSetting, getBioYear, RELATIONS */
+// This script contains the layouts that arrange the graph. The default lets
+// physics place nodes freely. Other layouts fix nodes along an axis, like the
+// timeline, which places people by the year they were born, and the genealogy,
+// which places relatives by generation. New layouts are added with `registerLayout`.
+
+const DEFAULT_LAYOUT = 'physics';
+
+const layouts = new Map();
+
+/**
+ * Add a layout.
+ * - `id`: a unique name, kept in settings
+ * - `name`: shown in the top bar
+ * - `getFixed(pinned)`: the vis.js `fixed` option of nodes, which says on
+ *   which axes physics may not move them; pinned nodes aren't moved at all
+ * - `arrange()`: places the nodes; called whenever nodes are added or more is
+ *   learned about them
+ * - `draw(ctx)`: draws behind the network, e.g. an axis, in canvas coordinates
+ * - `physics`: vis.js physics options to use instead of the default ones
+ */
+function registerLayout(layout) {
+  layouts.set(layout.id, layout);
+}
+
+const getLayoutId = () => (layouts.has(getSetting('layout')) ? getSetting('layout') : DEFAULT_LAYOUT);
+const getLayout = () => layouts.get(getLayoutId());
+
+// Get the vis.js `fixed` option of a node in the current layout
+function getLayoutFixed(pinned) {
+  const { getFixed } = getLayout();
+  return getFixed ? getFixed(pinned) : pinned;
+}
+
+// Place nodes as the current layout wants them, e.g. after some were added
+function arrangeLayout() {
+  const { arrange } = getLayout();
+  if (network && arrange) arrange();
+}
+
+// Set up the network for the current layout, keeping every node where it is
+function applyLayout() {
+  if (!network) return;
+  nodes.update(nodes.get().map(n => ({ id: n.id, fixed: getLayoutFixed(Boolean(n.pinned)) })));
+  network.setOptions({ physics: getLayout().physics || options.physics });
+  arrangeLayout();
+}
+
+// Draw the current layout's background, for the network's 'beforeDrawing' event
+function drawLayout(ctx) {
+  const { draw } = getLayout();
+  if (draw) draw(ctx);
+}
+
+registerLayout({
+  id: DEFAULT_LAYOUT,
+  name: 'Free layout',
+});
+
+
+// -- TIMELINE -- //
+
+const YEAR_WIDTH = 20; // Pixels per year
+const UNDATED_GAP = 25; // Years between the lane for people without dates and the earliest birth
+const MIN_TICK_SPACING = 90; // Pixels on screen between years on the axis
+const TICK_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+
+let undatedLaneX = 0;
+
+const getBirthYear = node => (node.bio && node.bio.birth ? getBioYear(node.bio.birth) : null);
+
+// Name a year on the axis, where year 0 is 1 BC
+const formatAxisYear = year => (year < 1 ? `${1 - year} BC` : `${year}`);
+
+// Draw a year axis with vertical lines, and label the lane for people without dates
+function drawTimelineAxis(ctx) {
+  const scale = network.getScale();
+  const { x: left, y: top } = network.DOMtoCanvas({ x: 0, y: 0 });
+  const { x: right, y: bottom } = network.DOMtoCanvas({ x: container.clientWidth, y: container.clientHeight });
+  const step = TICK_STEPS.find(s => s * YEAR_WIDTH * scale >= MIN_TICK_SPACING) || TICK_STEPS[TICK_STEPS.length - 1];
+  const labelY = top + (45 / scale); // Below the top bar
+
+  ctx.save();
+  ctx.lineWidth = 1 / scale;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+  ctx.font = `${12 / scale}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let year = Math.ceil(left / YEAR_WIDTH / step) * step; year * YEAR_WIDTH <= right; year += step) {
+    const x = year * YEAR_WIDTH;
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.fillText(formatAxisYear(year), x, labelY);
+  }
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.fillText('No dates', undatedLaneX, labelY);
+  ctx.restore();
+}
+
+registerLayout({
+  id: 'timeline',
+  name: 'Timeline',
+  // Physics only moves nodes up and down
+  getFixed: pinned => ({ x: true, y: pinned }),
+  // Shorter springs, since they can't stretch sideways
+  physics: { ...options.physics, barnesHut: { ...options.physics.barnesHut, springLength: 200 } },
+  arrange() {
+    const years = nodes.get().map(getBirthYear).filter(year => year !== null);
+    const earliest = years.reduce((a, b) => Math.min(a, b), Infinity);
+    undatedLaneX = ((years.length ? earliest : 0) - UNDATED_GAP) * YEAR_WIDTH;
+    nodes.update(nodes.get().map((node) => {
+      const year = getBirthYear(node);
+      return {
+        id: node.id,
+        x: year === null ? undatedLaneX : year * YEAR_WIDTH,
+        fixed: getLayoutFixed(Boolean(node.pinned)),
+      };
+    }));
+  },
+  draw: drawTimelineAxis,
+});
+
+
+// -- GENEALOGY -- //
+
+const GENERATION_HEIGHT = 150; // Pixels between generations
+
+let unrelatedLaneY = 0;
+let generationRange = [0, 0]; // The first and last generation in the graph
+
+// Get the generation of each node that has relations, counting from the start
+// pages at 0, e.g. -1 for their parents and teachers. Groups of relatives that
+// aren't related to a start page count from one of them. Where relations
+// disagree, like someone who married into an older generation, the first
+// relation found wins.
+function getGenerations() {
+  const relatives = new Map(); // Node -> [[relative, generations after the node]]
+  const addRelative = (id, relative, step) => {
+    if (!relatives.has(id)) relatives.set(id, []);
+    relatives.get(id).push([relative, step]);
+  };
+  edges.forEach((e) => {
+    if (!e.relation) return;
+    addRelative(e.from, e.to, RELATIONS[e.relation].generation);
+    addRelative(e.to, e.from, -RELATIONS[e.relation].generation);
+  });
+
+  const generations = new Map();
+  [...window.startpages, ...nodes.getIds()].forEach((id) => {
+    if (generations.has(id) || !relatives.has(id)) return;
+    generations.set(id, 0);
+    const queue = [id];
+    while (queue.length) {
+      const current = queue.shift();
+      relatives.get(current).forEach(([relative, step]) => {
+        if (generations.has(relative)) return;
+        generations.set(relative, generations.get(current) + step);
+        queue.push(relative);
+      });
+    }
+  });
+  return generations;
+}
+
+// Draw a line for each generation, and label the lane for people without relations
+function drawGenerations(ctx) {
+  const scale = network.getScale();
+  const { x: left } = network.DOMtoCanvas({ x: 0, y: 0 });
+  const { x: right } = network.DOMtoCanvas({ x: container.clientWidth, y: 0 });
+  const labelX = left + (10 / scale);
+
+  ctx.save();
+  ctx.lineWidth = 1 / scale;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.font = `${12 / scale}px sans-serif`;
+  ctx.textBaseline = 'bottom';
+  for (let generation = generationRange[0]; generation <= generationRange[1]; generation += 1) {
+    const y = generation * GENERATION_HEIGHT;
+    ctx.beginPath();
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+  }
+  ctx.fillText('No relations', labelX, unrelatedLaneY - (4 / scale));
+  ctx.restore();
+}
+
+registerLayout({
+  id: 'genealogy',
+  name: 'Genealogy',
+  // Physics only moves nodes sideways
+  getFixed: pinned => ({ x: pinned, y: true }),
+  physics: { ...options.physics, barnesHut: { ...options.physics.barnesHut, springLength: 200 } },
+  arrange() {
+    const generations = getGenerations();
+    const values = Array.from(generations.values());
+    generationRange = [
+      values.reduce((a, b) => Math.min(a, b), 0),
+      values.reduce((a, b) => Math.max(a, b), 0),
+    ];
+    unrelatedLaneY = (generationRange[1] + 2) * GENERATION_HEIGHT;
+    nodes.update(nodes.get().map(node => ({
+      id: node.id,
+      y: generations.has(node.id) ? generations.get(node.id) * GENERATION_HEIGHT : unrelatedLaneY,
+      fixed: getLayoutFixed(Boolean(node.pinned)),
+    })));
+  },
+  draw: drawGenerations,
+});
+
+
+// -- TOP BAR -- //
+
+// Fill the layout select in the top bar and react to changes
+function bindLayoutSelect() {
+  const select = document.getElementById('layout');
+  layouts.forEach((layout) => {
+    const option = document.createElement('option');
+    option.value = layout.id;
+    option.textContent = layout.name;
+    select.appendChild(option);
+  });
+  select.value = getLayoutId();
+
+  select.addEventListener('change', () => {
+    setSetting('layout', select.value);
+    applyLayout();
+    if (network) network.fit();
+  });
+}
@@ -0,0 +1,252 @@
+/* global isPeopleMode, queryApi, getPageHtml, getFirstParagraph, getWikiLinks, getNormalizedId */
+/* global getAllLinks, filterLinks, getSetting, setSetting */
+// This script contains the strategies that choose which links of a page
+// become its children when it is expanded: the first paragraph, a section,
+// the infobox and so on. New strategies are added with `registerLinkStrategy`.
+// Example usage:
+/*
+ * registerLinkStrategy({
+ *   id: 'tables',
+ *   name: 'Tables only',
+ *   getLinks: (pageName, { signal }) => getPageHtml(pageName, null, { signal })
+ *     .then(({ document: doc, redirectedTo }) => {
+ *       const contexts = new Map();
+ *       return { redirectedTo, links: getWikiLinksIn(doc.querySelectorAll('table'), contexts), contexts };
+ *     }),
+ * });
+ */
+
+// Chooses 'all' in people mode and 'paragraph' otherwise, like before strategies existed
+const AUTO_STRATEGY = 'auto';
+
+const linkStrategies = new Map();
+
+/**
+ * Add a link strategy.
+ * - `id`: a unique name, recorded on the nodes it expands
+ * - `name`: shown in the top bar
+ * - `argument`: if the strategy needs one, what to ask the user for, e.g. 'Section name'
+ * - `getLinks(pageName, { signal, onProgress, argument })`: resolves to
+ *   `{ redirectedTo, links, contexts, relations }`, where `links` is a list of
+ *   titles, the optional `contexts` maps them to the sentence each link came
+ *   from and the optional `relations` maps them to how they are related to the
+ *   page (see relations.js).
+ *   People mode and the filter rules are applied to them afterwards, unless the
+ *   strategy does that itself and returns `reasons` like `getAllLinks`.
+ */
+function registerLinkStrategy(strategy) {
+  linkStrategies.set(strategy.id, strategy);
+}
+
+// Strategies are stored as keys like 'paragraph', or 'section:Early life' for
+// strategies with an argument
+function parseStrategyKey(key) {
+  const i = key.indexOf(':');
+  return i === -1 ? { id: key, argument: null } : { id: key.slice(0, i), argument: key.slice(i + 1) };
+}
+
+// Describe a strategy key for the user, e.g. 'Section: Early life'
+function describeStrategy(key) {
+  const { id, argument } = parseStrategyKey(key);
+  const strategy = linkStrategies.get(id);
+  if (!strategy) return id;
+  return argument ? `${strategy.name}: ${argument}` : strategy.name;
+}
+
+const getLinkStrategy = () => getSetting('linkStrategy', AUTO_STRATEGY);
+
+
+// -- HELPERS -- //
+
+// Get the articles linked from any of `elements`, without duplicates. The
+// sentences they came from are added to `contexts`, as with `getWikiLinks`.
+function getWikiLinksIn(elements, contexts = null) {
+  const seen = new Set();
+  return Array.from(elements).flatMap(elem => getWikiLinks(elem, contexts)).filter((title) => {
+    const id = getNormalizedId(title);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+// Get the HTML of a section of a page by its heading, or a null document if
+// the page has no such section
+function getSectionHtml(pageName, sectionName, { signal } = {}) {
+  return queryApi({ action: 'parse', page: pageName, prop: 'sections', redirects: 1 }, { signal })
+    .then((res) => {
+      const redirectedTo = res.parse.redirects && res.parse.redirects[0] ? res.parse.redirects[0].to : pageName;
+      const wanted = sectionName.trim().toLowerCase();
+      // Headings can contain markup, e.g. '<i>Star Wars</i> films'
+      const section = res.parse.sections
+        .find(s => s.line.replace(/<[^>]+>/g, '').trim().toLowerCase() === wanted);
+      if (!section) return { document: null, redirectedTo };
+      return getPageHtml(redirectedTo, section.index, { signal });
+    });
+}
+
+// Elements that aren't part of an article's prose
+const NON_PROSE = [
+  '.navbox', '.navbox-styles', '.vertical-navbox', '.sidebar', '.authority-control',
+  '.reflist', '.references', '.refbegin', '.mw-references-wrap', 'sup.reference', '.metadata',
+].join(', ');
+
+
+// -- STRATEGIES -- //
+
+registerLinkStrategy({
+  id: 'paragraph',
+  name: 'First paragraph',
+  getLinks: (pageName, { signal }) => getPageHtml(pageName, 0, { signal })
+    .then(({ document: doc, redirectedTo }) => {
+      const contexts = new Map();
+      return { redirectedTo, links: getWikiLinks(getFirstParagraph(doc), contexts), contexts };
+    }),
+});
+
+registerLinkStrategy({
+  id: 'intro',
+  name: 'Intro section',
+  getLinks: (pageName, { signal }) => getPageHtml(pageName, 0, { signal })
+    .then(({ document: doc, redirectedTo }) => {
+      const contexts = new Map();
+      return { redirectedTo, links: getWikiLinksIn(doc.querySelectorAll('.mw-parser-output > p'), contexts), contexts };
+    }),
+});
+
+registerLinkStrategy({
+  id: 'section',
+  name: 'Section',
+  argument: 'Name of the section to take links from, e.g. "Early life"',
+  getLinks: (pageName, { signal, argument }) => getSectionHtml(pageName, argument, { signal })
+    .then(({ document: doc, redirectedTo }) => {
+      const contexts = new Map();
+      return { redirectedTo, links: doc ? getWikiLinks(doc.body, contexts) : [], contexts };
+    }),
+});
+
+registerLinkStrategy({
+  id: 'infobox',
+  name: 'Infobox',
+  getLinks: (pageName, { signal }) => getPageHtml(pageName, 0, { signal })
+    .then(({ document: doc, redirectedTo }) => {
+      const contexts = new Map();
+      return { redirectedTo, links: getWikiLinksIn(doc.querySelectorAll('.infobox'), contexts), contexts };
+    }),
+});
+
+registerLinkStrategy({
+  id: 'seealso',
+  name: 'See also',
+  getLinks: (pageName, { signal }) => getSectionHtml(pageName, 'See also', { signal })
+    .then(({ document: doc, redirectedTo }) => {
+      const contexts = new Map();
+      return { redirectedTo, links: doc ? getWikiLinks(doc.body, contexts) : [], contexts };
+    }),
+});
+
+registerLinkStrategy({
+  id: 'navbox',
+  name: 'Navigation boxes',
+  getLinks: (pageName, { signal }) => getPageHtml(pageName, null, { signal })
+    .then(({ document: doc, redirectedTo }) => {
+      const contexts = new Map();
+      return { redirectedTo, links: getWikiLinksIn(doc.querySelectorAll('.navbox'), contexts), contexts };
+    }),
+});
+
+registerLinkStrategy({
+  id: 'body',
+  name: 'Body text',
+  getLinks: (pageName, { signal }) => getPageHtml(pageName, null, { signal })
+    .then(({ document: doc, redirectedTo }) => {
+      doc.querySelectorAll(NON_PROSE).forEach(elem => elem.remove());
+      const contexts = new Map();
+      return { redirectedTo, links: getWikiLinks(doc.body, contexts), contexts };
+    }),
+});
+
+registerLinkStrategy({
+  id: 'all',
+  name: 'All links',
+  getLinks: getAllLinks,
+});
+
+
+// -- EXPANDING -- //
+
+/**
+ * Given a page title, get linked pages, with people mode and the filter rules
+ * applied. Resolves to `{ redirectedTo, links, reasons, contexts, strategy, relations }`,
+ * where `contexts` maps links to the sentence they came from (when the strategy
+ * reads the page's text), `strategy` is the key of the strategy that was used
+ * and `relations` maps links to relations, for strategies that find relatives.
+ * @param {string} [options.strategy] - A strategy key; defaults to the one chosen in the top bar
+ * @param {function} [options.onProgress] - Reports progress on big pages
+ */
+function getSubPages(pageName, { signal, onProgress, strategy = getLinkStrategy() } = {}) {
+  let key = strategy;
+  if (key === AUTO_STRATEGY) key = isPeopleMode() ? 'all' : 'paragraph';
+  const { id, argument } = parseStrategyKey(key);
+  const found = linkStrategies.get(id);
+  if (!found) return Promise.reject(new Error(`There is no link strategy called "${id}".`));
+
+  return found.getLinks(pageName, { signal, onProgress, argument })
+    .then(({ redirectedTo, links, reasons, contexts = new Map(), relations = new Map() }) => {
+      if (reasons) return { redirectedTo, links, reasons, contexts, strategy: key, relations };
+      return filterLinks(links, { signal }).then(kept => ({
+        redirectedTo,
+        links: Array.from(kept.keys()),
+        reasons: kept,
+        contexts,
+        strategy: key,
+        relations,
+      }));
+    });
+}
+
+
+// -- TOP BAR -- //
+
+// Show the chosen strategy in the top bar, adding it to the choices if needed
+function showLinkStrategy(select, key) {
+  if (!Array.from(select.options).some(o => o.value === key)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = describeStrategy(key);
+    select.appendChild(option);
+  }
+  select.value = key;
+}
+
+// Fill the strategy select in the top bar and react to changes
+function bindLinkStrategySelect() {
+  const select = document.getElementById('link-strategy');
+  const auto = document.createElement('option');
+  auto.value = AUTO_STRATEGY;
+  auto.textContent = 'Automatic';
+  auto.title = 'All links in people mode, the first paragraph otherwise';
+  select.appendChild(auto);
+  linkStrategies.forEach((strategy) => {
+    const option = document.createElement('option');
+    option.value = strategy.id;
+    option.textContent = strategy.argument ? `${strategy.name}...` : strategy.name;
+    select.appendChild(option);
+  });
+  showLinkStrategy(select, getLinkStrategy());
+
+  select.addEventListener('change', () => {
+    let key = select.value;
+    const strategy = linkStrategies.get(key);
+    if (strategy && strategy.argument) {
+      const argument = window.prompt(strategy.argument);
+      if (!argument || !argument.trim()) {
+        showLinkStrategy(select, getLinkStrategy());
+        return;
+      }
+      key = `${key}:${argument.trim()}`;
+    }
+    setSetting('linkStrategy', key);
+    showLinkStrategy(select, key);
+  });
+}
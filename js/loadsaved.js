@@ -1,20 +1,45 @@
-/* global network, makeNetwork, loadGraph, Progress, Modal */
-// Load a saved graph if an ID is provided in the query string
+/* global network, fetchSavedGraph, resetNetworkFromJson, Progress, Modal, showMessage */
+/* global isShareLink, graphFromShareLink */
+// Load a saved graph if one is linked to in the URL. Share links carry the
+// whole graph in the fragment, older links give an ID in the query string.
 
-function loadSaved() {
-  if (window.location.search) {
-    window.progressbar = new Progress('Restoring saved graph...');
-    const modalWindow = new Modal(window.progressbar.container, false);
-    modalWindow.present();
-    // Make the blank network
-    makeNetwork();
-    window.progressbar.progress(0.02);
-    // Set up event listeners for the loading (starting at 2%)
-    network.on('stabilizationProgress', (params) => {
-      window.progressbar.progress((params.iterations / params.total) + 0.02);
+// Rebuild the network from a promise of graph data, showing progress while it stabilizes
+function restoreGraph(dataPromise) {
+  window.progressbar = new Progress('Restoring saved graph...');
+  const modalWindow = new Modal(window.progressbar.container, false);
+  modalWindow.present();
+  window.progressbar.progress(0.02);
+
+  return dataPromise
+    .then((data) => {
+      const restored = resetNetworkFromJson(data);
+      // Graphs saved with their layout are placed right away, without stabilizing
+      if (restored.hasLayout) {
+        modalWindow.close();
+        return;
+      }
+      // resetNetworkFromJson builds a fresh network, so listen for progress on that one
+      // (starting at 2%)
+      network.on('stabilizationProgress', (params) => {
+        window.progressbar.progress((params.iterations / params.total) + 0.02);
+      });
+      network.once('stabilizationIterationsDone', () => { modalWindow.close(); });
+    })
+    .catch((e) => {
+      modalWindow.close();
+      showMessage("Couldn't open this graph", e.message);
     });
+}
 
-    network.once('stabilizationIterationsDone', () => { modalWindow.close(); });
-    loadGraph(window.location.search.substring(1));
+function loadSaved() {
+  if (isShareLink()) {
+    restoreGraph(graphFromShareLink());
+  } else if (window.location.search) {
+    restoreGraph(fetchSavedGraph(window.location.search.substring(1)));
   }
+  // Changing only the fragment doesn't reload the page, e.g. when a share link
+  // is pasted into a tab that's already open
+  window.addEventListener('hashchange', () => {
+    if (isShareLink()) restoreGraph(graphFromShareLink());
+  });
 }
@@ -1,4 +1,5 @@
-/* global vis, bindNetwork, getNormalizedId, wordwrap, getColor, noInputDetected, getItems, addItem, clearItems, unlockAll, fetchPageTitle, getRandomArticle, networkFromJson, startLoading, stopLoading */ // eslint-disable-line max-len
+/* global vis, bindNetwork, getNormalizedId, wordwrap, unwrap, getColor, noInputDetected, getItems, addItem, clearItems, lockItem, unlockAll, fetchPageTitle, getRandomArticle, networkFromJson, selectLanguage, selectSite, getSite, wikipediaSite, traceBack, getEdgeConnecting, updateNodeValue, startLoading, stopLoading, showToast, showSelection, applyPeopleView, scheduleBiographies, applyLayout, arrangeLayout */ // eslint-disable-line max-len
+/* global setGraphPeopleRules, setGraphPeopleFilters, lastClickedNode:writable */
 // This script contains the code that creates the central network, as well as
 // a function for resetting it to a brand new page.
 
@@ -60,10 +61,13 @@ function makeNetwork() {
   window.startpages = [];
   window.tracenodes = [];
   window.traceedges = [];
+  window.selectedNode = null;
+  showSelection(null);
   nodes = new vis.DataSet();
   edges = new vis.DataSet();
   data = { nodes, edges };
   network.setData(data);
+  applyLayout();
 
   initialized = true;
 }
@@ -71,7 +75,7 @@ function makeNetwork() {
 // Get the object to represent a "start node" for a given page name
 const getStartNode = pageName => ({
   id: getNormalizedId(pageName),
-  label: wordwrap(decodeURIComponent(pageName), 20),
+  label: wordwrap(pageName, 20),
   value: 2,
   level: 0,
   color: getColor(0),
@@ -109,6 +113,10 @@ function clearNetwork() {
   // 5. Reset Suggestions (Remove greyed out state)
   const suggestions = document.querySelectorAll('.suggestion-item');
   suggestions.forEach(el => el.classList.remove('disabled'));
+
+  // 6. Go back to the user's own filter rules and filters
+  setGraphPeopleRules(null);
+  setGraphPeopleFilters(null);
 }
 
 // Add and remove "start nodes" to make the list of start nodes match the list passed
@@ -121,6 +129,8 @@ function setStartPages(starts) {
   nodes.remove(toRemove);
   nodes.add(toAdd.map(getStartNode));
   window.startpages = newStartPages;
+  scheduleBiographies();
+  arrangeLayout();
 }
 
 
@@ -146,7 +156,10 @@ function go() {
       setStartPages(pageTitles);
       stopLoading();
     })
-    .catch(() => stopLoading());
+    .catch((e) => {
+      stopLoading();
+      showToast(`Couldn't load the start pages. ${e.message}`);
+    });
 
   // Show 'clear' button
   document.getElementById('clear').style.display = '';
@@ -159,28 +172,100 @@ function goRandom() {
   startLoading();
   getRandomArticle().then((ra) => {
     stopLoading();
-    addItem(cf, decodeURIComponent(ra));
+    addItem(cf, ra);
     go(); // go() triggers its own loading indicator
-  }).catch(() => stopLoading());
+  }).catch((e) => {
+    stopLoading();
+    showToast(`Couldn't get a random article. ${e.message}`);
+  });
 }
 
-// Reset the network with content from a JSON string
+// Reset the network with content from a JSON string. Returns the restored
+// network data, including whether the saved layout was kept.
 function resetNetworkFromJson(j) {
-  if (!initialized) makeNetwork();
-  clearNetwork();
+  // Parse first, so that invalid data doesn't wipe the current graph. Node IDs
+  // follow the title case rule saved with the graph, not the current wiki's.
   const obj = networkFromJson(j);
+  clearNetwork();
+  if (obj.site) selectSite(obj.site);
+  else selectLanguage(obj.lang);
   nodes = obj.nodes;
   edges = obj.edges;
   window.startpages = obj.startpages;
-  // Fill the network
+  if (obj.peopleMode !== undefined) document.getElementById('people-mode').checked = obj.peopleMode;
+  // The graph's rules and filters apply to it without replacing the user's.
+  // Graphs from before them use the user's. Filters are applied with the rest
+  // of the people view below.
+  setGraphPeopleRules(obj.rules);
+  setGraphPeopleFilters(obj.filters);
+  // Fill the network. Graphs saved with their layout don't need to be laid out again.
+  if (obj.hasLayout) network.setOptions({ physics: { stabilization: { enabled: false } } });
   network.setData({ nodes, edges });
+  if (obj.hasLayout) {
+    network.setOptions({ physics: { stabilization: options.physics.stabilization } });
+    network.fit();
+  }
+  applyPeopleView();
+  scheduleBiographies();
+  arrangeLayout();
+  // Show 'clear' button
+  document.getElementById('clear').style.display = '';
   // Populate the top bar
   const cf = document.getElementById('input');
   clearItems(cf);
-  window.startpages.forEach((sp) => {
-    console.log(sp, nodes.get(sp));
-    addItem(cf, nodes.get(sp).label.replace(/\s+/g, ' '));
-    // TODO: set node IDs on commafield items
-    // TODO: lock commafield items that have been expanded
+  window.startpages.forEach((sp, i) => {
+    const node = nodes.get(sp);
+    addItem(cf, unwrap(node.label));
+    cf.getElementsByClassName('item')[i].dataset.nodeId = sp;
+    if (node.expanded) lockItem(cf, i);
   });
+  // Bring back the selection
+  if (obj.selected && nodes.get(obj.selected)) {
+    lastClickedNode = obj.selected;
+    traceBack(obj.selected);
+  }
+  return obj;
+}
+
+// Merge graph data into the current network. Nodes are matched by ID; nodes
+// that already exist keep their parent and level, and new start pages are
+// added to the top bar.
+function mergeNetworkFromJson(j) {
+  if (!initialized || !nodes.length) return resetNetworkFromJson(j);
+  const obj = networkFromJson(j);
+  const objApi = obj.site ? obj.site.api : wikipediaSite(obj.lang).api;
+  if (objApi !== getSite().api) {
+    throw new Error(`This graph is from ${obj.site ? obj.site.name : `the "${obj.lang}" Wikipedia`}, but the current graph is from ${getSite().name}. Graphs can only be merged when they come from the same wiki.`);
+  }
+
+  // Positions from the other graph mean nothing here, so new nodes are laid out by physics
+  const newNodes = obj.nodes.get()
+    .filter(n => !nodes.get(n.id))
+    .map(({ x, y, ...n }) => n);
+  nodes.add(newNodes);
+
+  const newEdges = obj.edges.get()
+    .filter(e => nodes.get(e.from) && nodes.get(e.to) && !getEdgeConnecting(e.from, e.to))
+    .map(({ id, ...e }) => e); // IDs from the other DataSet could clash
+  edges.add(newEdges);
+
+  // Add new start pages to the top bar
+  const cf = document.getElementById('input');
+  obj.startpages
+    .filter(id => !window.startpages.includes(id))
+    .forEach((id) => {
+      const node = nodes.get(id);
+      window.startpages.push(id);
+      addItem(cf, unwrap(node.label));
+      const items = cf.getElementsByClassName('item');
+      items[items.length - 1].dataset.nodeId = id;
+      if (node.expanded) lockItem(cf, items.length - 1);
+    });
+
+  // Nodes on both sides of new edges have gained connections
+  new Set(newEdges.flatMap(e => [e.from, e.to])).forEach(updateNodeValue);
+  applyPeopleView();
+  scheduleBiographies();
+  arrangeLayout();
+  return obj;
 }
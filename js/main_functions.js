@@ -1,4 +1,4 @@
-/* global nodes, edges, network, getSpawnPosition, getNormalizedId, wordwrap, unwrap, getColor, getEdgeColor, getEdgeConnecting, getSubPages, colorNodes, edgesWidth, updateNodeValue, startLoading, stopLoading */ // eslint-disable-line max-len
+/* global nodes, edges, network, getPinnedProperties, getReasonProperties, getSpawnPosition, getNormalizedId, wordwrap, unwrap, getEdgeColor, FONT_COLOR, DIMMED_FONT_COLOR, DIMMED_EDGE_COLOR, getEdgeConnecting, getSubPages, getBacklinks, getIncomingEdgeProperties, getContextProperties, getRelationProperties, getRestingEdgeColor, showSelection, getNodeColor, applyPeopleFilters, scheduleBiographies, arrangeLayout, colorNodes, edgesWidth, updateNodeValue, startLoading, stopLoading, setLoadingLabel, showToast */ // eslint-disable-line max-len
 // This script contains the big functions that implement a lot of the core
 // functionality, like expanding nodes, and getting the nodes for a traceback.
 
@@ -54,8 +54,17 @@ function renameNode(oldId, newName) {
   return newId;
 }
 
-// Callback to add to a node once data is recieved
-function expandNodeCallback(page, data) {
+// Callback to add to a node once data is recieved. Options:
+// - `reasons`: maps the titles in `data` to why they were included
+// - `contexts`: maps the titles in `data` to the sentence their link came from
+// - `strategy`: the key of the link strategy that found them
+// - `incoming`: whether `data` are pages linking to the node, rather than pages it links to
+// - `relations`: maps the titles in `data` to how they are related to the node, like 'parent'
+// - `markExpanded`: whether to record that the node was expanded, rather than
+//   just given some of its links
+function expandNodeCallback(page, data, {
+  reasons = new Map(), contexts = new Map(), strategy, incoming = false, relations = new Map(), markExpanded = true,
+} = {}) {
   const node = nodes.get(page); // The node that was clicked
   const level = node.level + 1; // Level for new nodes is one more than parent
   const subpages = data;
@@ -63,6 +72,7 @@ function expandNodeCallback(page, data) {
   // Add all children to network
   const subnodes = [];
   const newedges = [];
+  const typededges = [];
   // Where new nodes should be spawned
   const [startX, startY] = getSpawnPosition(page);
   
@@ -70,6 +80,8 @@ function expandNodeCallback(page, data) {
   for (let i = 0; i < subpages.length; i += 1) {
     const subpage = subpages[i];
     const subpageID = getNormalizedId(subpage);
+    const context = contexts.get(subpage);
+    const relation = relations.get(subpage);
     if (!nodes.getIds().includes(subpageID)) { // Don't add if node exists
       
       // Add a small random offset (jitter) to prevent nodes from stacking on top of each other
@@ -80,24 +92,39 @@ function expandNodeCallback(page, data) {
 
       subnodes.push({
         id: subpageID,
-        label: wordwrap(decodeURIComponent(subpage), 15),
+        label: wordwrap(subpage, 15),
         value: 1,
         level,
-        color: getColor(level),
+        color: getNodeColor({ level }),
         parent: page,
         x: spawnX,
         y: spawnY,
+        ...(reasons.get(subpage) ? getReasonProperties(reasons.get(subpage)) : {}),
+        ...(incoming ? { incoming: true } : {}),
+        ...(context ? { context } : {}), // Kept on the node to rebuild its edge from a saved graph
+        ...(relation ? { relation } : {}),
       });
     }
 
-    if (!getEdgeConnecting(page, subpageID)) { // Don't create duplicate edges in same direction
+    // Edges point the way the link goes
+    const [from, to] = incoming ? [subpageID, page] : [page, subpageID];
+    const existing = getEdgeConnecting(from, to);
+    if (existing && relation && !edges.get(existing).relation) {
+      // A plain link that turns out to be a relation too. Edges to children
+      // are rebuilt from the child when loading a saved graph.
+      typededges.push({ id: existing, ...getRelationProperties(relation) });
+      if (nodes.get(subpageID).parent === page) nodes.update({ id: subpageID, relation });
+    } else if (!existing) { // Don't create duplicate edges in same direction
       newedges.push({
-        from: page,
-        to: subpageID,
+        from,
+        to,
         color: getEdgeColor(level),
         level,
         selectionWidth: 2,
         hoverWidth: 0,
+        ...(incoming ? getIncomingEdgeProperties() : {}),
+        ...(context ? getContextProperties(context) : {}),
+        ...(relation ? getRelationProperties(relation) : {}),
       });
     }
   }
@@ -105,29 +132,64 @@ function expandNodeCallback(page, data) {
   // Add the new components to the datasets for the graph
   nodes.add(subnodes);
   edges.add(newedges);
+  edges.update(typededges);
+  if (!incoming && markExpanded) nodes.update({ id: page, expanded: true, strategy });
 
   // Update sizes of connected nodes
   updateNodeValue(page);
   subpages.forEach(subpage => updateNodeValue(getNormalizedId(subpage)));
+  // New nodes are hidden until their bios show that they pass the filters
+  applyPeopleFilters();
+  scheduleBiographies();
+  arrangeLayout();
+  // The selected node may have new links to show
+  if (window.selectedNode) showSelection(window.selectedNode);
 }
 
 // Expand a node without freezing other stuff
 function expandNode(id) {
   startLoading(); // Show loading icon
   const pagename = unwrap(nodes.get(id).label);
-  getSubPages(pagename).then(({ redirectedTo, links }) => {
+  const onProgress = (done, total) => setLoadingLabel(`${pagename}: ${done} of ${total} links checked`);
+  getSubPages(pagename, { onProgress }).then(({ redirectedTo, links, reasons, contexts, strategy, relations }) => {
     const newId = renameNode(id, redirectedTo);
-    expandNodeCallback(newId, links);
+    expandNodeCallback(newId, links, { reasons, contexts, strategy, relations });
     stopLoading(); // Hide loading icon
-  }).catch(() => {
+  }).catch((e) => {
     stopLoading(); // Hide on error
+    showToast(`Couldn't expand "${pagename}". ${e.message}`);
   });
-  // Mark the expanded node as 'locked' if it's one of the commafield items
+  lockStartItem(id);
+}
+
+// Mark an expanded node as 'locked' if it's one of the commafield items
+function lockStartItem(id) {
   const cf = document.getElementById('input');
-  const cfItem = cf.querySelector(`.item[data-node-id="${id}"]`);
+  const cfItem = cf.querySelector(`.item[data-node-id="${CSS.escape(id)}"]`);
   if (cfItem) cfItem.classList.add('locked');
 }
 
+// Expand a node with the pages that link to it ("What links here")
+function expandIncoming(id) {
+  startLoading();
+  const pagename = unwrap(nodes.get(id).label);
+  const onProgress = (done, total) => setLoadingLabel(`${pagename}: ${done} of ${total} incoming links checked`);
+  getBacklinks(pagename, { onProgress }).then(({ redirectedTo, links, reasons }) => {
+    const newId = renameNode(id, redirectedTo);
+    expandNodeCallback(newId, links, { reasons, incoming: true });
+    stopLoading();
+  }).catch((e) => {
+    stopLoading();
+    showToast(`Couldn't find pages linking to "${pagename}". ${e.message}`);
+  });
+}
+
+// Pin a node in place so that physics doesn't move it, or release it again
+function togglePin(id) {
+  const node = nodes.get(id);
+  if (node) nodes.update({ id, ...getPinnedProperties(!node.pinned) });
+}
+
 // Get all the nodes tracing back to the start node.
 function getTraceBackNodes(node) {
   let currentNode = node;
@@ -162,7 +224,8 @@ function getTraceBackEdges(tbnodes) {
   tbnodes.reverse();
   const path = [];
   for (let i = 0; i < tbnodes.length - 1; i += 1) { // Don't iterate through the last node
-    path.push(getEdgeConnecting(tbnodes[i], tbnodes[i + 1]));
+    // Nodes found through incoming links point to their parent instead
+    path.push(getEdgeConnecting(tbnodes[i], tbnodes[i + 1]) || getEdgeConnecting(tbnodes[i + 1], tbnodes[i]));
   }
   return path;
 }
@@ -176,11 +239,11 @@ function resetProperties() {
     const modnodes = window.tracenodes.map(i => nodes.get(i)).filter(n => n !== null);
     if (modnodes.length > 0) colorNodes(modnodes, 0);
 
-    // Reset ALL Nodes Text Opacity
+    // Reset ALL Nodes Text Opacity, except for nodes dimmed by the people filters
     const allNodes = nodes.get();
     const nodeUpdates = allNodes.map(n => ({
       id: n.id,
-      font: { color: 'rgba(0, 0, 0, 1)' } // Restore to full black/dark
+      font: { color: n.dimmed ? DIMMED_FONT_COLOR : FONT_COLOR } // Restore to full black/dark
     }));
     nodes.update(nodeUpdates);
 
@@ -190,12 +253,12 @@ function resetProperties() {
     allEdges.forEach(e => {
       // SAFETY CHECK: Ensure the target node exists before accessing .level
       // This prevents the "drag mode" freeze if an edge points to a deleted node.
-      const targetNode = nodes.get(e.to);
-      if (targetNode) {
+      const color = getRestingEdgeColor(e);
+      if (color) {
         edgeUpdates.push({
           id: e.id,
           width: 1,
-          color: getEdgeColor(targetNode.level) // Restore original color
+          color: e.dimmed ? DIMMED_EDGE_COLOR : color // Restore original color
         });
       }
     });
@@ -204,75 +267,82 @@ function resetProperties() {
     window.tracenodes = [];
     window.traceedges = [];
     window.isReset = true;
+    showSelection(null);
   }
 }
 
 // Highlight the path from a given node back to the central node.
 function traceBack(node) {
-  if (node !== window.selectedNode) {
-    resetProperties(); // Reset previous highlights/dimming
-    window.selectedNode = node;
-    window.isReset = false; // Mark state as modified
+  if (node !== window.selectedNode) highlightPath(node, getTraceBackNodes(node));
+}
 
-    // Calculate Traceback (Yellow Path)
-    window.tracenodes = getTraceBackNodes(node);
-    window.traceedges = getTraceBackEdges(window.tracenodes);
+// Select a node and highlight a path of nodes, given from the node back to
+// where the path starts, dimming everything that isn't next to the node
+function highlightPath(node, path) {
+  resetProperties(); // Reset previous highlights/dimming
+  window.selectedNode = node;
+  window.isReset = false; // Mark state as modified
+  showSelection(node);
 
-    // Identify Immediate Connections
-    const connectedEdges = network.getConnectedEdges(node);
-    const connectedNodes = network.getConnectedNodes(node);
+  // Calculate Traceback (Yellow Path)
+  window.tracenodes = path;
+  window.traceedges = getTraceBackEdges(window.tracenodes);
 
-    // Update ALL Edges: Traceback, Neighbors, or Dimmed
-    const allEdges = edges.get();
-    const edgeUpdates = [];
-    
-    allEdges.forEach(e => {
-      const isTrace = window.traceedges.includes(e.id);
-      const isConnected = connectedEdges.includes(e.id);
+  // Identify Immediate Connections
+  const connectedEdges = network.getConnectedEdges(node);
+  const connectedNodes = network.getConnectedNodes(node);
 
-      if (isTrace) {
-        // Traceback path: Yellow, Thick
-        edgeUpdates.push({
-          id: e.id,
-          width: 5,
-          color: { inherit: 'to' } // Inherits yellow from the target node
-        });
-      } else if (isConnected) {
-        // Immediate neighbor: Bold (Blue/Normal color)
-        // SAFETY CHECK: Ensure target node exists
-        const targetNode = nodes.get(e.to);
-        if (targetNode) {
-          edgeUpdates.push({
-            id: e.id,
-            width: 3, 
-            color: getEdgeColor(targetNode.level) // Standard color, just bold
-          });
-        }
-      } else {
-        // Unrelated: Dimmed (Transparent Grey, 0.05 opacity)
+  // Update ALL Edges: Traceback, Neighbors, or Dimmed
+  const allEdges = edges.get();
+  const edgeUpdates = [];
+  
+  allEdges.forEach(e => {
+    const isTrace = window.traceedges.includes(e.id);
+    const isConnected = connectedEdges.includes(e.id);
+
+    if (isTrace) {
+      // Traceback path: Yellow, Thick
+      edgeUpdates.push({
+        id: e.id,
+        width: 5,
+        color: { inherit: 'to' } // Inherits yellow from the target node
+      });
+    } else if (isConnected) {
+      // Immediate neighbor: Bold (Blue/Normal color)
+      // SAFETY CHECK: Ensure target node exists
+      const color = getRestingEdgeColor(e);
+      if (color) {
         edgeUpdates.push({
           id: e.id,
-          width: 1,
-          color: 'rgba(122, 206, 247, 0.4)'  
+          width: 3, 
+          color: e.dimmed ? DIMMED_EDGE_COLOR : color // Standard color, just bold
         });
       }
-    });
-    edges.update(edgeUpdates);
+    } else {
+      // Unrelated: Dimmed (Transparent Grey, 0.05 opacity)
+      edgeUpdates.push({
+        id: e.id,
+        width: 1,
+        color: DIMMED_EDGE_COLOR
+      });
+    }
+  });
+  edges.update(edgeUpdates);
 
-    // Update ALL Nodes: Active ones opaque, others dimmed text
-    const allNodeIds = nodes.getIds();
-    const nodeUpdates = allNodeIds.map(id => {
-      // Active if: Selected, Traceback, or Neighbor
-      const isActive = (id === node) || window.tracenodes.includes(id) || connectedNodes.includes(id);
-      return {
-        id: id,
-        font: { color: isActive ? 'rgba(0, 0, 0, 1)' : 'rgba(0, 0, 0, 0.25)' }
-      };
-    });
-    nodes.update(nodeUpdates);
+  // Update ALL Nodes: Active ones opaque, others dimmed text
+  const allNodes = nodes.get();
+  const nodeUpdates = allNodes.map(n => {
+    // Active if: Selected, Traceback, or Neighbor. Nodes dimmed by the people
+    // filters stay dimmed unless they are on the path.
+    const isActive = (n.id === node) || window.tracenodes.includes(n.id) || (connectedNodes.includes(n.id) && !n.dimmed);
+    return {
+      id: n.id,
+      font: { color: isActive ? FONT_COLOR : DIMMED_FONT_COLOR }
+    };
+  });
+  nodes.update(nodeUpdates);
 
-    // Color trace nodes yellow
-    const modnodes = window.tracenodes.map(i => nodes.get(i));
-    colorNodes(modnodes, 1);
-  }
+  // Color trace nodes yellow
+  const modnodes = window.tracenodes.map(i => nodes.get(i));
+  colorNodes(modnodes, 1);
 }
@@ -28,16 +28,41 @@ function Modal(element, clickToDismiss) {
   this.backdrop.appendChild(this.elem);
 
   // Allow dismissing the modal with a click on the background
-  this.backdrop.parent = this;
   this.backdrop.addEventListener('click', (event) => {
     // Clicking on modal content won't hide it, only clicking the background will.
-    if ((event.target.className.indexOf('modal-background') !== -1) && this.parent.clickToDismiss) {
-      this.parent.close();
+    if (event.target === this.backdrop && this.clickToDismiss) {
+      this.close();
     }
   });
 
   // Expose API
 
+  this.onClose = () => {}; // Called once the modal is closed, e.g. to clean up
+
   this.present = () => { document.body.appendChild(this.backdrop); };
-  this.close = () => { document.body.removeChild(this.backdrop); };
+  this.close = () => {
+    document.body.removeChild(this.backdrop);
+    this.onClose();
+  };
+}
+
+// Present a short message with a title and an OK button
+function showMessage(title, text) {
+  const box = document.createElement('div');
+  box.className = 'panel message';
+  const heading = document.createElement('h1');
+  heading.textContent = title;
+  const body = document.createElement('p');
+  body.textContent = text;
+  const ok = document.createElement('button');
+  ok.type = 'button';
+  ok.textContent = 'OK';
+  box.appendChild(heading);
+  box.appendChild(body);
+  box.appendChild(ok);
+
+  const modal = new Modal(box);
+  ok.addEventListener('click', modal.close);
+  modal.present();
+  return modal;
 }
@@ -1,80 +1,250 @@
-/* global vis, nodes, edges, resetNetworkFromJson, getEdgeColor, getColor, getNormalizedId */ // eslint-disable-line max-len
+/* global vis, nodes, edges, network, getEdgeColor, getColor, getNormalizedId, getPinnedProperties, getUntranslatedProperties, getReasonProperties, getBioProperties, getIncomingEdgeProperties, getContextProperties, getRelationProperties, RELATIONS, getSetting, isPeopleMode, getPeopleRules, getPeopleFilters, getSite, dbPut */ // eslint-disable-line max-len
 // Functions for the serialization of a vis.js network. This allows for storing
 // a network as JSON and then loading it back later.
 
+// Version of the JSON format written by `networkToJson`. Whenever the format
+// changes, bump this and add a migration from the previous version below.
+const GRAPH_FORMAT_VERSION = 4;
+
+// Whether graphs keep the sentences their links came from. They make graphs
+// and share links much bigger.
+const getSaveSnippets = () => getSetting('saveSnippets', true);
+
 
 // SERIALIZATION METHODS //
 
+// Whether an edge connects a node to its parent, so that it can be rebuilt
+// from the node. Nodes found through incoming links have an edge to their parent.
+function isTreeEdge(edge, source, target) {
+  if (edge.incoming) return source.incoming && source.parent === edge.to;
+  return !target.incoming && target.parent === edge.from;
+}
+
 // Get all the edges that are not directly from a node to its parent. These
 // are formed at all cases in which expanding a node links it to a pre-existing
 // node.
 function getFloatingEdges() {
   const floatingEdges = [];
   edges.forEach((edge) => {
-    if (nodes.get(edge.to).parent !== edge.from) {
+    const source = nodes.get(edge.from);
+    const target = nodes.get(edge.to);
+    // Edges can outlive nodes that were removed from the graph; skip those
+    if (source && target && !isTreeEdge(edge, source, target)) {
       floatingEdges.push(edge);
     }
   });
   return floatingEdges;
 }
 
-// Remove all properties from a node Object which can easily be reconstructed
-function abbreviateNode(node) {
+// Remove all properties from a node Object which can easily be reconstructed.
+// `positions` is the output of `network.getPositions()`, or null to leave out the layout.
+// With `snippets: false`, the sentence the node's link came from is left out.
+function abbreviateNode(node, positions, snippets = true) {
   /* Omits the following properties:
   - node.id, which is inferred from `label` through `getNormalizedId`
   - node.color, which is inferred from `level` through `getColor`
   - node.value, which is inferred from `startpages` (included separately)
-  - node.x, which doesn't matter at all for reconstruction
-  - node.y, which also doesn't matter at all
 
   This leaves us with:
   - node.label, which is used to reconstruct node.id
   - node.level, which is used to reconstruct node.color
-  - node.parent, which is used to reconstruct the network's edges */
+  - node.parent, which is used to reconstruct the network's edges
+  - node.expanded, only if the node has been expanded
+  - node.strategy, the link strategy that expanded the node, if any
+  - node.incoming, only if the node was found through a link to its parent
+  - node.why, only if people mode recorded why the node was included
+  - node.context, the sentence the link to the node came from, if known
+  - node.relation, how the node is related to its parent, if it was found as a relative
+  - node.bio, what Wikidata knows about the person, once it was looked up
+  - node.x, node.y and node.pinned, only if the layout is being kept */
 
   const newnode = { a: node.label,
     b: node.level,
     c: node.parent };
+  if (node.expanded) newnode.e = 1;
+  if (node.strategy) newnode.s = node.strategy;
+  if (node.incoming) newnode.i = 1;
+  if (node.untranslated) newnode.u = 1;
+  if (node.why) newnode.w = node.why;
+  if (node.context && snippets) newnode.t = node.context;
+  if (node.relation) newnode.r = node.relation;
+  if (node.bio) newnode.m = node.bio;
+  if (positions && positions[node.id]) {
+    newnode.x = Math.round(positions[node.id].x);
+    newnode.y = Math.round(positions[node.id].y);
+    if (node.pinned) newnode.f = 1;
+  }
   return newnode;
 }
 
 // Remove all properties from an edge Object which can be easily reconstructed
-function abbreviateEdge(edge) {
+function abbreviateEdge(edge, snippets = true) {
   /* Omits the following properties:
   - edge.color, which is inferred from nodes.get(edge.to).color
   - edge.selectionWidth, which is always 2
   - edge.hoverWidth, which is always 0
+  - edge.dashes and edge.arrows, which are inferred from the direction
+  - edge.title, which is inferred from edge.context
+  - edge.label and edge.font, which are inferred from edge.relation
+
+  This leaves us with:
+  - edge.from and edge.to
+  - edge.level
+  - edge.incoming as `d: 'in'`, only if the edge was found through incoming links
+  - edge.context, the sentence the link came from, if known
+  - edge.relation, how the pages are related, if the edge is a relation
   */
   const newedge = { a: edge.from,
     b: edge.to,
     c: edge.level };
+  if (edge.incoming) newedge.d = 'in';
+  if (edge.context && snippets) newedge.t = edge.context;
+  if (edge.relation) newedge.r = edge.relation;
   return newedge;
 }
 
-// Concisely JSON-ize the data needed to quickly reconstruct the network
-function networkToJson() {
-  const out = {};
+// Concisely JSON-ize the data needed to quickly reconstruct the network.
+// With `layout: true`, node positions and pinned nodes are kept too, so that
+// the graph comes back exactly as it was arranged instead of being laid out again.
+function networkToJson({ layout = false } = {}) {
+  const out = { version: GRAPH_FORMAT_VERSION };
+  const positions = layout && network ? network.getPositions() : null;
+  const snippets = getSaveSnippets();
 
   // Store nodes
   const data = nodes._data; // Retreive an object representing nodes data
   const vals = Object.keys(data).map(k => data[k]);
-  const abbv = vals.map(abbreviateNode); // Process it
-  out.nodes = abbv; // Store it
+  out.nodes = vals.map(node => abbreviateNode(node, positions, snippets));
 
   // Store startpages
   out.startpages = window.startpages;
 
   // Store floating edges
-  out.edges = getFloatingEdges();
+  out.edges = getFloatingEdges().map(edge => abbreviateEdge(edge, snippets));
+
+  // Store the state of the interface
+  if (window.selectedNode && nodes.get(window.selectedNode)) out.selected = window.selectedNode;
+  out.peopleMode = isPeopleMode();
+  out.rules = getPeopleRules();
+  out.filters = getPeopleFilters();
+  Object.assign(out, getSiteJson());
 
   return JSON.stringify(out);
 }
 
+// Get the fields that say which wiki a graph is from
+function getSiteJson() {
+  const { name, lang, api, article, wikipedia, caseSensitive } = getSite();
+  // Wikis other than Wikipedia need their API endpoint, article URL pattern
+  // and title case rule, since node IDs depend on it
+  return wikipedia ? { lang } : { lang, site: { name, api, article, caseSensitive } };
+}
+
+
+// VERSIONING //
+
+// Whether the titles of a graph's wiki are case sensitive. Wikipedia's aren't,
+// and neither are those of other wikis in graphs saved before the rule was kept.
+const isCaseSensitiveGraph = data => Boolean(data.site && data.site.caseSensitive);
+
+// The node IDs used by graphs before version 3: lowercase, with everything
+// but ASCII letters, digits and spaces removed, and no trailing "s".
+function getLegacyNormalizedId(id) {
+  return id
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[^A-Za-z\d% ]/g, '')
+    .replace(/s$/, '');
+}
+
+// Functions that upgrade graph data from each version to the next one. A
+// migration takes data in version `n` and returns data in version `n + 1`.
+const migrations = {
+  // Unversioned graphs stored floating edges as whole vis.js edge objects
+  1: data => ({
+    version: 2,
+    nodes: data.nodes,
+    startpages: data.startpages,
+    edges: (data.edges || []).map(edge => abbreviateEdge(edge)),
+  }),
+  // Node IDs became canonical page titles. IDs are inferred from labels, but
+  // parents, start pages and edges refer to nodes by ID and need translating.
+  2: (data) => {
+    const newIds = {};
+    (data.nodes || []).forEach((node) => {
+      if (node && typeof node.a === 'string') {
+        newIds[getLegacyNormalizedId(node.a)] = getNormalizedId(node.a, isCaseSensitiveGraph(data));
+      }
+    });
+    const translate = id => (newIds[id] === undefined ? id : newIds[id]);
+    return {
+      ...data,
+      version: 3,
+      nodes: (data.nodes || []).map(node => ({ ...node, c: translate(node.c) })),
+      startpages: (data.startpages || []).map(translate),
+      edges: (data.edges || []).map(edge => ({ ...edge, a: translate(edge.a), b: translate(edge.b) })),
+      selected: data.selected === undefined ? undefined : translate(data.selected),
+    };
+  },
+  // Graphs gained filter rules and filters, link strategies, nodes and edges
+  // found through incoming links, link sentences, biographies and relations.
+  // All of them are optional, so older graphs need no changes; the bump keeps
+  // older versions of the app from misreading newer graphs, e.g. drawing
+  // incoming links the wrong way round.
+  3: data => ({ ...data, version: 4 }),
+};
+
+// Throw a readable error if graph data doesn't have the expected shape
+function validateGraph(data) {
+  const fail = (reason) => { throw new Error(`This is not a valid Wikipedia Map graph: ${reason}.`); };
+
+  if (!Array.isArray(data.nodes)) fail('it has no list of nodes');
+  if (!Array.isArray(data.startpages)) fail('it has no list of start pages');
+  if (!Array.isArray(data.edges)) fail('it has no list of edges');
+  data.nodes.forEach((node, i) => {
+    if (!node || typeof node.a !== 'string' || !node.a.trim()) fail(`node ${i + 1} has no title`);
+    if (typeof node.b !== 'number') fail(`node "${node.a}" has no level`);
+    if (typeof node.c !== 'string') fail(`node "${node.a}" has no parent`);
+    if (node.r !== undefined && !RELATIONS[node.r]) fail(`node "${node.a}" has an unknown relation`);
+  });
+  const ids = new Set(data.nodes.map(node => getNormalizedId(node.a, isCaseSensitiveGraph(data))));
+  data.startpages.forEach((id) => {
+    if (!ids.has(id)) fail(`the start page "${id}" is missing from its nodes`);
+  });
+  data.edges.forEach((edge, i) => {
+    if (!edge || edge.a === undefined || edge.b === undefined) fail(`edge ${i + 1} is incomplete`);
+    if (edge.r !== undefined && !RELATIONS[edge.r]) fail(`edge ${i + 1} has an unknown relation`);
+  });
+}
+
+// Bring graph data in any known version up to the current version
+function migrateGraph(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('This is not a valid Wikipedia Map graph: it is not a JSON object.');
+  }
+  // Graphs from before versioning have no version field
+  let version = data.version === undefined ? 1 : data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`This graph has an unknown format version (${data.version}).`);
+  }
+  if (version > GRAPH_FORMAT_VERSION) {
+    throw new Error('This graph was saved by a newer version of Wikipedia Map. Reload the page and try again.');
+  }
+
+  let out = data;
+  while (version < GRAPH_FORMAT_VERSION) {
+    out = migrations[version](out);
+    version += 1;
+  }
+  validateGraph(out);
+  return out;
+}
+
 
 // DESERIALIZATION METHODS //
 
-// Unabbreviate a node Object
-function unabbreviateNode(node, startpgs) {
+// Unabbreviate a node Object. `caseSensitive` is the title case rule of the graph's wiki.
+function unabbreviateNode(node, startpgs, caseSensitive) {
   // Make quick substitutions
   const newnode = {
     label: node.a,
@@ -82,9 +252,23 @@ function unabbreviateNode(node, startpgs) {
     parent: node.c,
   };
   // Infer omitted properties
-  newnode.id = getNormalizedId(newnode.label);
+  newnode.id = getNormalizedId(newnode.label, caseSensitive);
   newnode.color = getColor(newnode.level);
   newnode.value = startpgs.indexOf(newnode.id) === -1 ? 1 : 2;
+  // Restore optional properties
+  if (node.e) newnode.expanded = true;
+  if (node.s) newnode.strategy = node.s;
+  if (node.i) newnode.incoming = true;
+  if (node.w) Object.assign(newnode, getReasonProperties(node.w));
+  if (node.t) newnode.context = node.t;
+  if (node.r) newnode.relation = node.r;
+  if (node.m) Object.assign(newnode, getBioProperties(node.m, node.w));
+  if (node.u) Object.assign(newnode, getUntranslatedProperties());
+  if (node.x !== undefined && node.y !== undefined) {
+    newnode.x = node.x;
+    newnode.y = node.y;
+  }
+  if (node.f) Object.assign(newnode, getPinnedProperties(true));
 
   return newnode;
 }
@@ -97,6 +281,9 @@ function unabbreviateEdge(edge) {
   newedge.color = getEdgeColor(newedge.level);
   newedge.selectionWidth = 2;
   newedge.hoverWidth = 0;
+  if (edge.d === 'in') Object.assign(newedge, getIncomingEdgeProperties());
+  if (edge.t) Object.assign(newedge, getContextProperties(edge.t));
+  if (edge.r) Object.assign(newedge, getRelationProperties(edge.r));
 
   return newedge;
 }
@@ -106,13 +293,17 @@ function buildEdges(nds) {
   const edgs = new vis.DataSet();
   nds.forEach((node) => {
     if (node.parent !== node.id) {
+      // Nodes found through incoming links link to their parent
       edgs.add({
-        from: node.parent,
-        to: node.id,
+        from: node.incoming ? node.id : node.parent,
+        to: node.incoming ? node.parent : node.id,
         color: getEdgeColor(node.level),
         level: node.level,
         selectionWidth: 2,
         hoverWidth: 0,
+        ...(node.incoming ? getIncomingEdgeProperties() : {}),
+        ...(node.context ? getContextProperties(node.context) : {}),
+        ...(node.relation ? getRelationProperties(node.relation) : {}),
       });
     }
   });
@@ -120,20 +311,31 @@ function buildEdges(nds) {
   return edgs;
 }
 
-// Take consise JSON and use it to reconstruct `nodes` and `edges`
-function networkFromJson(data) {
+// Take consise JSON and use it to reconstruct `nodes` and `edges`. Data in an
+// older format is migrated first; malformed data throws a readable error.
+function networkFromJson(raw) {
+  const data = migrateGraph(raw);
   const out = {};
 
   // Store startpages
   out.startpages = data.startpages;
   // Store nodes
   const nds = data.nodes;
-  const expandedNodes = nds.map(x => unabbreviateNode(x, out.startpages));
+  const expandedNodes = nds.map(x => unabbreviateNode(x, out.startpages, isCaseSensitiveGraph(data)));
   out.nodes = new vis.DataSet();
   out.nodes.add(expandedNodes);
   // Store edges
   out.edges = buildEdges(expandedNodes);
-  out.edges.add(data.edges);
+  out.edges.add(data.edges.map(unabbreviateEdge));
+  // Store the state of the interface
+  out.hasLayout = expandedNodes.length > 0 && expandedNodes.every(n => n.x !== undefined);
+  out.selected = data.selected;
+  out.peopleMode = data.peopleMode;
+  out.rules = data.rules;
+  out.filters = data.filters;
+  // Graphs from before language support are all from the English Wikipedia
+  out.lang = data.lang || 'en';
+  out.site = data.site;
 
   return out;
 }
@@ -141,14 +343,26 @@ function networkFromJson(data) {
 
 // MAIN FUNCTIONS
 
-function storeGraph() {
-  throw new Error('storeGraph is no longer implemented.');
+// Save the current network to the local graph library. Pass the `id` of a
+// saved graph to overwrite it. Resolves to the stored record.
+function storeGraph(name, id) {
+  const record = {
+    name,
+    json: networkToJson({ layout: true }),
+    nodeCount: nodes.length,
+    modified: Date.now(),
+  };
+  if (id !== undefined) record.id = id;
+  return dbPut('graphs', record).then(key => ({ ...record, id: key }));
 }
 
-function loadGraph(id) {
-  fetch(`/graphs/${id}.json`)
-    .then(r => r.json())
-    .then(resetNetworkFromJson);
+// Get the data of a graph stored on the server by its ID
+function fetchSavedGraph(id) {
+  return fetch(`/graphs/${id}.json`)
+    .then((r) => {
+      if (!r.ok) throw new Error(`There is no saved graph with the ID "${id}".`);
+      return r.json();
+    });
 }
 
 
@@ -0,0 +1,293 @@
+/* global getSubPages, getBacklinks, getNormalizedId, fetchPageTitle, isPeopleMode, renameNode, expandNodeCallback */
+/* global highlightPath, network, getItems, setStartPages, Modal, Progress, showToast */
+/* global getSetting, setSetting, registerSettingsSection, settingsNumberInput, lastClickedNode:writable */
+// This script finds a chain of links from the first start page to the second.
+// It searches from both ends at once: forward through the links of pages,
+// found with the link strategy chosen in the top bar, and backward through
+// the pages that link to the goal ("What links here"). People mode and the
+// filter rules apply to every page on the way. Links found backward can come
+// from anywhere in a page, so they are checked with the chosen strategy before
+// a path is accepted. The search gives up after a number of links, pages
+// looked up, or seconds.
+
+const PATH_PROGRESS_INTERVAL = 500; // Milliseconds between updates of the elapsed time
+
+const getPathLimits = () => ({
+  depth: getSetting('pathDepth', 6), // Links in the path
+  requests: getSetting('pathRequests', 200), // Pages looked up
+  seconds: getSetting('pathSeconds', 120),
+});
+
+
+// -- SEARCH -- //
+
+/**
+ * Find the shortest chain of links from `startTitle` to `goalTitle`. Resolves
+ * to the pages on the chain in order, each as `{ id, title, found }`, where
+ * `found` is what `getSubPages` found on the page (for all but the goal).
+ * Rejects if no chain is found within the limits, or with an AbortError if
+ * `signal` is aborted.
+ * @param {function} [options.onProgress] - Called with `{ requests, depth, seen }` after each page
+ */
+async function searchPath(startTitle, goalTitle, { signal, onProgress } = {}) {
+  const limits = getPathLimits();
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener('abort', cancel);
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, limits.seconds * 1000);
+
+  const pages = new Map(); // ID -> what getSubPages found on the page
+  const forward = new Map(); // ID -> { title, parent }, for pages reached from the start
+  const backward = new Map(); // ID -> { title, next }, for pages that lead to the goal
+  const startId = getNormalizedId(startTitle);
+  const goalId = getNormalizedId(goalTitle);
+  forward.set(startId, { title: startTitle, parent: null });
+  backward.set(goalId, { title: goalTitle, next: null });
+  let forwardFrontier = [startId];
+  let backwardFrontier = [goalId];
+  let depth = 0; // Links between the start and the goal covered so far
+  let requests = 0;
+
+  // Look up a page with `fetch`, counting it against the limits
+  const lookUp = (title, fetch) => {
+    if (requests >= limits.requests) throw new Error(`No path was found within ${limits.requests} pages.`);
+    requests += 1;
+    return fetch(title, { signal: controller.signal }).then((result) => {
+      if (onProgress) onProgress({ requests, depth, seen: forward.size + backward.size });
+      return result;
+    });
+  };
+  // Get the links of a page with the chosen strategy, looking it up only once
+  const getLinks = async (id, title) => {
+    if (!pages.has(id)) {
+      const found = await lookUp(title, getSubPages);
+      pages.set(id, found);
+      pages.set(getNormalizedId(found.redirectedTo), found);
+    }
+    return pages.get(id);
+  };
+
+  // The chain from the start to a page found forward, and from a page found backward to the goal
+  const forwardChain = (id) => {
+    const chain = [];
+    for (let cur = id; cur !== null; cur = forward.get(cur).parent) chain.unshift({ id: cur, title: forward.get(cur).title });
+    return chain;
+  };
+  const backwardChain = (id) => {
+    const chain = [];
+    for (let cur = id; cur !== null; cur = backward.get(cur).next) {
+      if (!backward.has(cur)) return null; // A link on the way didn't hold up
+      chain.push({ id: cur, title: backward.get(cur).title });
+    }
+    return chain;
+  };
+
+  // Check that each page on a path, from the `i`th on, links to the next with
+  // the chosen strategy. Resolves to the path, or null if a link doesn't hold
+  // up, in which case pages that relied on it aren't used again.
+  const checkPath = (path, i = 0) => {
+    if (i >= path.length - 1) return Promise.resolve(path);
+    return getLinks(path[i].id, path[i].title).then((found) => {
+      const title = found.links.find(t => getNormalizedId(t) === path[i + 1].id);
+      if (!title) {
+        if (backward.has(path[i].id) && backward.get(path[i].id).next === path[i + 1].id) backward.delete(path[i].id);
+        return null;
+      }
+      path[i + 1].title = title; // As the page links to it, which is how its reason and sentence are found
+      path[i].found = found;
+      return checkPath(path, i + 1);
+    });
+  };
+  // Resolve to the first of `paths` that holds up, or null if none does
+  const findGoodPath = (paths, i = 0) => {
+    if (i >= paths.length) return Promise.resolve(null);
+    return checkPath(paths[i]).then(path => path || findGoodPath(paths, i + 1));
+  };
+
+  // Take a step from the start: the links of every page at the front. The
+  // pages are looked up in parallel, as far as the request queue allows.
+  const stepForward = async (candidates) => {
+    const next = [];
+    const found = await Promise.all(forwardFrontier.map(id => getLinks(id, forward.get(id).title)));
+    forwardFrontier.forEach((id, j) => {
+      // The page may redirect to one found from the goal
+      const redirectId = getNormalizedId(found[j].redirectedTo);
+      if (redirectId !== id && backward.has(redirectId)) {
+        candidates.push(() => forwardChain(id).concat((backwardChain(redirectId) || []).slice(1)));
+      }
+      found[j].links.forEach((title) => {
+        const linkId = getNormalizedId(title);
+        if (!forward.has(linkId)) {
+          forward.set(linkId, { title, parent: id });
+          next.push(linkId);
+        }
+        if (backward.has(linkId)) candidates.push(() => forwardChain(id).concat(backwardChain(linkId) || []));
+      });
+    });
+    forwardFrontier = next;
+  };
+
+  // Take a step from the goal: the pages linking to every page at the front
+  const stepBackward = async (candidates) => {
+    const next = [];
+    const front = backwardFrontier.filter(id => backward.has(id));
+    const found = await Promise.all(front.map(id => lookUp(backward.get(id).title, getBacklinks)));
+    front.forEach((id, j) => {
+      found[j].links.forEach((title) => {
+        const linkId = getNormalizedId(title);
+        if (!backward.has(linkId)) {
+          backward.set(linkId, { title, next: id });
+          next.push(linkId);
+        }
+        if (forward.has(linkId)) candidates.push(() => forwardChain(linkId).concat(backwardChain(id) || []));
+      });
+    });
+    backwardFrontier = next;
+  };
+
+  // Take steps until a path holds up, growing the smaller side each time,
+  // which usually needs fewer pages
+  const search = () => {
+    if (depth >= limits.depth) throw new Error(`There is no path of up to ${limits.depth} links.`);
+    if (!forwardFrontier.length || !backwardFrontier.length) {
+      throw new Error(`There is no path of links between them${isPeopleMode() ? ' through people' : ''}.`);
+    }
+    const candidates = [];
+    const step = forwardFrontier.length <= backwardFrontier.length ? stepForward : stepBackward;
+    return step(candidates).then(() => {
+      depth += 1;
+      // Try the shortest paths first. A chain was broken if it has a repeated page.
+      const paths = candidates.map(make => make())
+        .filter(path => new Set(path.map(p => p.id)).size === path.length && path[path.length - 1].id === goalId)
+        .sort((a, b) => a.length - b.length);
+      return findGoodPath(paths);
+    }).then(path => path || search());
+  };
+
+  try {
+    if (startId === goalId) throw new Error('The start and the goal are the same page.');
+    return await search();
+  } catch (e) {
+    if (timedOut) throw new Error(`No path was found within ${limits.seconds} seconds.`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    controller.abort(); // Stop the lookups still running when a limit was reached
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+
+// -- ADDING THE PATH -- //
+
+// Add the pages of a path to the graph, each as a child of the one before it
+// unless it's already in the graph. Returns the IDs of the nodes on the path.
+function addPath(path) {
+  const ids = [getNormalizedId(path[0].title)];
+  for (let i = 0; i < path.length - 1; i += 1) {
+    const { redirectedTo, reasons, contexts, strategy, relations } = path[i].found;
+    ids[i] = renameNode(ids[i], redirectedTo);
+    expandNodeCallback(ids[i], [path[i + 1].title], { reasons, contexts, strategy, relations, markExpanded: false });
+    ids.push(getNormalizedId(path[i + 1].title));
+  }
+  return ids;
+}
+
+// Find a path from the first page in the top bar to the second, showing
+// progress with a button to cancel. The pages become the start pages.
+function findPath() {
+  const cf = document.getElementById('input');
+  const inputs = getItems(cf);
+  if (inputs.length < 2) {
+    showToast('Enter two articles to find a path of links between them.');
+    return;
+  }
+
+  const limits = getPathLimits();
+  const controller = new AbortController();
+  const started = Date.now();
+  let status = { requests: 0, depth: 0, seen: 0 };
+
+  const panel = document.createElement('div');
+  panel.className = 'panel path-finder';
+  const progress = new Progress('Finding a path...');
+  const details = document.createElement('p');
+  details.className = 'path-finder-details';
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', () => controller.abort());
+  panel.appendChild(progress.container);
+  panel.appendChild(details);
+  panel.appendChild(cancelButton);
+  const modal = new Modal(panel, false);
+  modal.present();
+
+  // The bar fills up as the search uses up its pages or its time
+  const showProgress = () => {
+    const seconds = (Date.now() - started) / 1000;
+    progress.progress(Math.min(1, Math.max(status.requests / limits.requests, seconds / limits.seconds)));
+    details.textContent = `Looked at ${status.requests} of at most ${limits.requests} pages and found ${status.seen}, `
+      + `${status.depth} of at most ${limits.depth} links apart.`;
+  };
+  showProgress();
+  const ticker = setInterval(showProgress, PATH_PROGRESS_INTERVAL);
+  const onProgress = (update) => {
+    status = update;
+    showProgress();
+  };
+
+  let names = inputs.slice(0, 2);
+  Promise.all(inputs.map(fetchPageTitle))
+    .then((pageTitles) => {
+      pageTitles.forEach((pageTitle, i) => {
+        cf.getElementsByClassName('item')[i].dataset.nodeId = getNormalizedId(pageTitle);
+      });
+      setStartPages(pageTitles);
+      document.getElementById('clear').style.display = '';
+      names = pageTitles.slice(0, 2);
+      return searchPath(names[0], names[1], { signal: controller.signal, onProgress });
+    })
+    .then((path) => {
+      clearInterval(ticker);
+      modal.close();
+      const ids = addPath(path);
+      // Select the goal, with the whole path highlighted
+      const goal = ids[ids.length - 1];
+      lastClickedNode = goal;
+      highlightPath(goal, ids.slice().reverse());
+      network.fit({ nodes: ids, animation: { duration: 1000, easingFunction: 'easeInOutQuad' } });
+      showToast(`Found a path of ${ids.length - 1} link${ids.length === 2 ? '' : 's'}.`);
+    })
+    .catch((e) => {
+      clearInterval(ticker);
+      modal.close();
+      if (e.name === 'AbortError') showToast('Stopped looking for a path.');
+      else showToast(`Couldn't find a path from "${names[0]}" to "${names[1]}". ${e.message}`);
+    });
+}
+
+
+// -- SETTINGS -- //
+
+registerSettingsSection('Finding paths', (section) => {
+  const description = document.createElement('p');
+  description.textContent = 'Finding a path between two articles stops when any of these limits is reached.';
+  section.appendChild(description);
+  const limits = [
+    ['Longest path (links)', 'pathDepth', 'depth'],
+    ['Most pages to look up', 'pathRequests', 'requests'],
+    ['Give up after (seconds)', 'pathSeconds', 'seconds'],
+  ];
+  limits.forEach(([label, setting, key]) => {
+    section.appendChild(settingsNumberInput(label, {
+      get: () => getPathLimits()[key],
+      set: value => setSetting(setting, Math.round(value)),
+      min: 1,
+    }));
+  });
+});
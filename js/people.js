@@ -0,0 +1,110 @@
+/* global cachedFetchJson */
+// This script decides which pages are about people, for people mode. The main
+// signal is Wikidata: a page is about a person if its item is an instance of
+// human, or of any kind of fictional character. Pages without a Wikidata item,
+// like those on most wikis other than Wikipedia, fall back to their categories.
+// Every decision comes with whether the person is real or fictional, and an
+// explanation of why the page was included.
+
+const WIKIDATA_SPARQL = 'https://query.wikidata.org/sparql';
+const WIKIDATA_BATCH_SIZE = 200; // Items per query, to keep URLs reasonably short
+const HUMAN = 'Q5';
+const FICTIONAL_CHARACTER = 'Q95074';
+
+// Find the category that suggests a page is about a person or character, with
+// keywords like 'births', 'deaths', 'people' and 'characters'
+const findPersonCategory = categories => (categories || []).find((cat) => {
+  const c = cat.title.toLowerCase();
+  return c.includes('births') ||
+         c.includes('deaths') ||
+         c.includes('people') ||
+         c.includes('characters') ||
+         c.includes('human');
+});
+
+// Build a SPARQL query for which of the Wikidata items are humans or fictional characters
+function personKindsQuery(itemIds) {
+  return `SELECT ?item ?kind WHERE {
+  VALUES ?item { ${itemIds.map(id => `wd:${id}`).join(' ')} }
+  { ?item wdt:P31 wd:${HUMAN} . BIND("human" AS ?kind) }
+  UNION
+  { ?item wdt:P31/wdt:P279* wd:${FICTIONAL_CHARACTER} . BIND("fictional" AS ?kind) }
+}`;
+}
+
+// Read the results of `personKindsQuery` into a map from item ID to 'human' or 'fictional'
+function parsePersonKinds(res) {
+  const kinds = new Map();
+  res.results.bindings.forEach((row) => {
+    const id = row.item.value.split('/').pop(); // e.g. 'http://www.wikidata.org/entity/Q42'
+    // An item can be both, e.g. a real person who also appears as a character
+    if (kinds.get(id) !== 'human') kinds.set(id, row.kind.value);
+  });
+  return kinds;
+}
+
+// Ask Wikidata which of the items are humans or fictional characters. Resolves
+// to a map from item ID to 'human' or 'fictional'; other items are left out.
+function getPersonKinds(itemIds, { signal } = {}) {
+  const batches = [];
+  for (let i = 0; i < itemIds.length; i += WIKIDATA_BATCH_SIZE) {
+    batches.push(itemIds.slice(i, i + WIKIDATA_BATCH_SIZE));
+  }
+  return Promise.all(batches.map((batch) => {
+    const url = new URL(WIKIDATA_SPARQL);
+    url.searchParams.append('format', 'json');
+    url.searchParams.append('query', personKindsQuery(batch));
+    return cachedFetchJson(url, { signal }).then(parsePersonKinds);
+  })).then(maps => new Map(maps.flatMap(m => Array.from(m))));
+}
+
+/**
+ * Decide whether a page is about a person. Returns `{ kind, why }`, where
+ * `kind` is 'human' or 'fictional', or null if the page isn't about a person.
+ * @param {Object} page - A page from the API, with its `categories` and `pageprops`
+ * @param {Map|null} kinds - The result of `getPersonKinds`, or null if Wikidata couldn't be asked
+ */
+function explainPerson(page, kinds) {
+  const item = page.pageprops && page.pageprops.wikibase_item;
+  if (item && kinds) {
+    // Wikidata knows this page, so its categories don't matter
+    if (kinds.get(item) === 'human') return { kind: 'human', why: `Wikidata: ${item} is an instance of human` };
+    if (kinds.get(item) === 'fictional') return { kind: 'fictional', why: `Wikidata: ${item} is a fictional character` };
+    return null;
+  }
+  const category = findPersonCategory(page.categories);
+  if (!category) return null;
+  const reason = item ? 'Wikidata unavailable' : 'No Wikidata item';
+  return {
+    kind: /characters/i.test(category.title) ? 'fictional' : 'human',
+    why: `${reason}, but in ${category.title}`,
+  };
+}
+
+/**
+ * Find the people among pages from the API.
+ * Resolves to a map from the title of every person to `{ kind, why }`.
+ * @param {Map} pages - A map from title to page, as from `queryAllPages`
+ */
+async function classifyPeople(pages, { signal } = {}) {
+  const itemIds = Array.from(pages.values())
+    .map(page => page.pageprops && page.pageprops.wikibase_item)
+    .filter(item => item);
+
+  let kinds = null;
+  if (itemIds.length) {
+    try {
+      kinds = await getPersonKinds([...new Set(itemIds)], { signal });
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      console.warn('Wikidata is unavailable, using categories instead:', e);
+    }
+  }
+
+  const reasons = new Map();
+  pages.forEach((page, title) => {
+    const person = explainPerson(page, kinds);
+    if (person) reasons.set(title, person);
+  });
+  return reasons;
+}
@@ -0,0 +1,141 @@
+/* global Modal, getSetting, setSetting, getNormalizedId */
+// This script contains the rules that decide which links are shown, on top of
+// people mode's own decision: which kinds of people to show, categories to
+// require or exclude, and titles to always or never show. The rules are kept
+// in settings and saved with each graph. A graph that is opened brings its own
+// rules, which apply to it until the next graph is started, without replacing
+// those in settings.
+
+const DEFAULT_PEOPLE_RULES = {
+  kinds: 'all', // 'all', 'human' or 'fictional'
+  includeCategories: [], // If any, pages must be in a matching category
+  excludeCategories: [], // Pages in a matching category are never shown
+  blocklist: [], // Titles that are never shown
+  allowlist: [], // Titles that are always shown when linked, even if they aren't people
+};
+
+// Fill in missing or malformed rules, e.g. from an older graph file
+function normalizeRules(rules) {
+  const out = { ...DEFAULT_PEOPLE_RULES };
+  if (!rules || typeof rules !== 'object') return out;
+  if (['all', 'human', 'fictional'].includes(rules.kinds)) out.kinds = rules.kinds;
+  ['includeCategories', 'excludeCategories', 'blocklist', 'allowlist'].forEach((key) => {
+    if (Array.isArray(rules[key])) out[key] = rules[key].filter(s => typeof s === 'string' && s.trim());
+  });
+  return out;
+}
+
+let graphRules = null; // The rules of the open graph, or null to use those in settings
+
+const getPeopleRules = () => graphRules || normalizeRules(getSetting('peopleRules', DEFAULT_PEOPLE_RULES));
+const setPeopleRules = (rules) => {
+  if (graphRules) graphRules = normalizeRules(rules);
+  else setSetting('peopleRules', normalizeRules(rules));
+};
+// Use a graph's own rules, or pass null to go back to those in settings
+const setGraphPeopleRules = (rules) => { graphRules = rules ? normalizeRules(rules) : null; };
+
+// Whether the rules need to know the categories of pages
+const needsCategories = rules => rules.includeCategories.length > 0 || rules.excludeCategories.length > 0;
+
+// Remove the namespace from a category name, e.g. 'Category:Physicists' -> 'Physicists'
+const stripNamespace = name => name.slice(name.indexOf(':') + 1).replace(/_/g, ' ').trim();
+
+// Turn a category pattern like 'American * physicists' into a case-insensitive
+// regular expression, where '*' stands for any text
+function patternToRegExp(pattern) {
+  const parts = stripNamespace(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('.*')}$`, 'i');
+}
+
+/**
+ * Apply the rules to linked pages. Resolves to a map from the title of every
+ * page that passes to why it was included (or null if there is no reason to give).
+ * @param {Map} pages - A map from title to page, with the page's `categories` if the rules need them
+ * @param {Map|null} people - The result of `classifyPeople`, or null outside of people mode
+ * @param {Object} rules - The rules, as from `getPeopleRules`
+ */
+function applyPeopleRules(pages, people, rules) {
+  const blocked = new Set(rules.blocklist.map(getNormalizedId));
+  const allowed = new Set(rules.allowlist.map(getNormalizedId));
+  const include = rules.includeCategories.map(patternToRegExp);
+  const exclude = rules.excludeCategories.map(patternToRegExp);
+
+  const result = new Map();
+  pages.forEach((page, title) => {
+    const id = getNormalizedId(title);
+    if (blocked.has(id)) return;
+    if (allowed.has(id)) {
+      result.set(title, 'On your list of titles to always show');
+      return;
+    }
+    const person = people ? people.get(title) : { kind: null, why: null };
+    if (!person) return;
+    // Outside of people mode, links aren't people, real or fictional
+    if (people && rules.kinds !== 'all' && person.kind !== rules.kinds) return;
+    const categories = (page.categories || []).map(c => stripNamespace(c.title));
+    if (include.length && !categories.some(c => include.some(re => re.test(c)))) return;
+    if (categories.some(c => exclude.some(re => re.test(c)))) return;
+    result.set(title, person.why);
+  });
+  return result;
+}
+
+
+// -- EDITOR -- //
+
+// Present the rules editor
+function openPeopleRulesEditor() {
+  const rules = getPeopleRules();
+  const panel = document.createElement('div');
+  panel.className = 'panel people-rules';
+  panel.innerHTML = `
+    <h1>Filter rules</h1>
+    <fieldset>
+      <legend>In people mode, show</legend>
+      <label><input type="radio" name="rules-kinds" value="all"> Real people and fictional characters</label>
+      <label><input type="radio" name="rules-kinds" value="human"> Only real people</label>
+      <label><input type="radio" name="rules-kinds" value="fictional"> Only fictional characters</label>
+    </fieldset>
+    <p class="rules-help rules-scope">These rules came with the open graph. Changes apply to it only,
+      and your own rules are back when you start a new graph.</p>
+    <p class="rules-help">One per line. Category rules apply in both modes; use * as a wildcard,
+      e.g. <code>American * physicists</code>.</p>
+    <label>Only show pages in these categories
+      <textarea class="rules-include" rows="3"></textarea></label>
+    <label>Never show pages in these categories
+      <textarea class="rules-exclude" rows="3"></textarea></label>
+    <label>Never show these titles
+      <textarea class="rules-blocklist" rows="3"></textarea></label>
+    <label>Always show these titles when linked
+      <textarea class="rules-allowlist" rows="3"></textarea></label>
+    <div class="rules-buttons">
+      <button type="button" class="rules-reset">Reset</button>
+      <button type="button" class="rules-save">Save</button>
+    </div>`;
+  if (!graphRules) panel.querySelector('.rules-scope').remove();
+  const modal = new Modal(panel);
+
+  const fields = {
+    includeCategories: panel.querySelector('.rules-include'),
+    excludeCategories: panel.querySelector('.rules-exclude'),
+    blocklist: panel.querySelector('.rules-blocklist'),
+    allowlist: panel.querySelector('.rules-allowlist'),
+  };
+  const show = (r) => {
+    panel.querySelector(`input[name=rules-kinds][value=${r.kinds}]`).checked = true;
+    Object.keys(fields).forEach((key) => { fields[key].value = r[key].join('\n'); });
+  };
+  show(rules);
+
+  panel.querySelector('.rules-reset').addEventListener('click', () => show(DEFAULT_PEOPLE_RULES));
+  panel.querySelector('.rules-save').addEventListener('click', () => {
+    const newRules = { kinds: panel.querySelector('input[name=rules-kinds]:checked').value };
+    Object.keys(fields).forEach((key) => {
+      newRules[key] = fields[key].value.split('\n').map(line => line.trim()).filter(line => line);
+    });
+    setPeopleRules(newRules);
+    modal.close();
+  });
+  modal.present();
+}
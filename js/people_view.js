@@ -0,0 +1,350 @@
+/* global nodes, edges, Modal, getColor, lightenHex, getRestingEdgeColor, getSetting, setSetting, getBioYear, RELATIONS */
+/* global FONT_COLOR, DIMMED_FONT_COLOR, DIMMED_EDGE_COLOR, resetProperties, traceBack, formatAxisYear */
+// This script colors and filters the graph by what is known about the people
+// in it, from their bios (see biographies.js): by century of birth,
+// nationality, occupation or the years they were alive, and hides kinds of
+// relations. The choices are kept in settings, and saved with graphs.
+
+const OTHER_COLOR = '#BDBDBD'; // For values without a color of their own, and nodes without the value
+// Colors for the most common values, in order
+const CATEGORY_COLORS = [
+  '#E53935', '#3949AB', '#43A047', '#FB8C00', '#8E24AA', '#00ACC1',
+  '#FDD835', '#6D4C41', '#D81B60', '#7CB342', '#5E35B1',
+];
+
+// Name a century, e.g. 1879 -> '19th century', -99 -> '1st century BC'
+function getCenturyName(year) {
+  const bc = year < 1;
+  const century = bc ? Math.floor(-year / 100) + 1 : Math.floor((year - 1) / 100) + 1;
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = (century % 100 >= 11 && century % 100 <= 13) ? 'th' : (suffixes[century % 10] || 'th');
+  return `${century}${suffix} century${bc ? ' BC' : ''}`;
+}
+
+// Ways to color nodes. `getValue` gets what a node is colored by, or null if it isn't known.
+const colorModes = {
+  level: { name: 'Distance from the start pages', getValue: null },
+  century: {
+    name: 'Century of birth',
+    getValue: n => (n.bio && n.bio.birth ? getCenturyName(getBioYear(n.bio.birth)) : null),
+  },
+  nationality: {
+    name: 'Nationality',
+    getValue: n => (n.bio && n.bio.nationality ? n.bio.nationality[0] : null),
+  },
+  occupation: {
+    name: 'Occupation',
+    getValue: n => (n.bio && n.bio.occupation ? n.bio.occupation[0] : null),
+  },
+};
+
+const getColorMode = () => (colorModes[getSetting('colorMode')] ? getSetting('colorMode') : 'level');
+
+let valueColors = new Map(); // Value -> color, for the most common values in the graph
+
+// Get the color of a node in the chosen color mode, when it isn't highlighted.
+// Nodes dimmed by the filters are paler.
+function getNodeColor(node) {
+  const { getValue } = colorModes[getColorMode()];
+  const color = getValue ? valueColors.get(getValue(node)) || OTHER_COLOR : getColor(node.level);
+  return node.dimmed ? lightenHex(color, 75) : color;
+}
+
+// Count the values of the chosen color mode in the graph, most common first
+function countColorValues() {
+  const { getValue } = colorModes[getColorMode()];
+  const counts = new Map();
+  if (getValue) {
+    nodes.forEach((node) => {
+      const value = getValue(node);
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  }
+  return Array.from(counts).sort((a, b) => b[1] - a[1]);
+}
+
+// Recolor the nodes, giving the most common values their own colors.
+// Highlighted nodes keep their highlight.
+function applyNodeColors() {
+  valueColors = new Map(countColorValues()
+    .slice(0, CATEGORY_COLORS.length)
+    .map(([value], i) => [value, CATEGORY_COLORS[i]]));
+  nodes.update(nodes.get({ filter: n => !window.tracenodes.includes(n.id) })
+    .map(n => ({ id: n.id, color: getNodeColor(n) })));
+}
+
+
+// -- FILTERS -- //
+
+const DEFAULT_PEOPLE_FILTERS = {
+  nationality: '', // Only show people with a nationality containing this
+  occupation: '', // Only show people with an occupation containing this
+  years: null, // Only show people alive some time in [from, to], or anyone if null
+  yearsMode: 'hide', // Whether people outside of `years` are hidden or dimmed: 'hide' or 'dim'
+  hiddenRelations: [], // Kinds of edges to hide: relations like 'parent', or 'link' for plain links
+};
+const MAX_LIFESPAN = 100; // Years assumed between birth and death when only one of them is known
+
+// Like the filter rules, an opened graph brings its own filters, which apply
+// to it until the next graph is started without replacing those in settings
+let graphFilters = null;
+
+const getPeopleFilters = () => ({ ...DEFAULT_PEOPLE_FILTERS, ...(graphFilters || getSetting('peopleFilters', {})) });
+const setPeopleFilters = (filters) => {
+  if (graphFilters) graphFilters = filters;
+  else setSetting('peopleFilters', filters);
+};
+// Use a graph's own filters, or pass null to go back to those in settings
+const setGraphPeopleFilters = (filters) => { graphFilters = filters || null; };
+
+// Whether any of `values` contains `text`, ignoring case. Empty text matches anything.
+const matchesText = (values, text) =>
+  !text.trim() || (values || []).some(v => v.toLowerCase().includes(text.trim().toLowerCase()));
+
+// Get the years a person was alive as [birth, death], or null if neither is
+// known. People without a death date are assumed to be alive still, unless
+// they would be very old.
+function getLifespan(node) {
+  const bio = node.bio || {};
+  const birth = getBioYear(bio.birth);
+  const death = getBioYear(bio.death);
+  if (birth === null && death === null) return null;
+  if (birth === null) return [death - MAX_LIFESPAN, death];
+  if (death === null) return [birth, Math.min(birth + MAX_LIFESPAN, new Date().getFullYear())];
+  return [birth, death];
+}
+
+// Whether the year filter leaves out a node, because the person wasn't alive
+// in the chosen years, or it isn't known when they were
+function isOutsideYears(node, filters) {
+  if (!filters.years || window.startpages.includes(node.id)) return false;
+  const lifespan = getLifespan(node);
+  return !lifespan || lifespan[1] < filters.years[0] || lifespan[0] > filters.years[1];
+}
+
+// Whether the filters hide a node. Start pages are always shown, and nodes
+// that haven't been looked up yet are hidden until they are.
+function isFilteredOut(node, filters) {
+  if (window.startpages.includes(node.id)) return false;
+  const bio = node.bio || {};
+  return !matchesText(bio.nationality, filters.nationality) || !matchesText(bio.occupation, filters.occupation)
+    || (filters.yearsMode === 'hide' && isOutsideYears(node, filters));
+}
+
+// Whether the filters dim a node
+const isDimmedOut = (node, filters) => filters.yearsMode === 'dim' && isOutsideYears(node, filters);
+
+// Whether the filters hide an edge for its kind
+const isRelationHidden = (edge, filters) => filters.hiddenRelations.includes(edge.relation || 'link');
+
+// Get the nodes with edges that aren't hidden for their kind. Other nodes,
+// besides start pages, are hidden with their edges.
+function getNodesWithShownEdges(filters) {
+  const shown = new Set(window.startpages);
+  edges.forEach((e) => {
+    if (isRelationHidden(e, filters)) return;
+    shown.add(e.from);
+    shown.add(e.to);
+  });
+  return shown;
+}
+
+// Hide the nodes that the filters leave out, and their edges, or dim them.
+// Dimming works like the dimming of `traceBack`, which keeps it while
+// something is highlighted, and `resetProperties` keeps it afterwards.
+function applyPeopleFilters() {
+  const filters = getPeopleFilters();
+  const connected = filters.hiddenRelations.length ? getNodesWithShownEdges(filters) : null;
+  const hidden = new Set(nodes.get({ filter: n => isFilteredOut(n, filters) || (connected && !connected.has(n.id)) })
+    .map(n => n.id));
+  const dimmed = new Set(nodes.get({ filter: n => isDimmedOut(n, filters) }).map(n => n.id));
+  const nodeUpdates = nodes.get({
+    filter: n => Boolean(n.hidden) !== hidden.has(n.id) || Boolean(n.dimmed) !== dimmed.has(n.id),
+  }).map(n => ({
+    id: n.id,
+    hidden: hidden.has(n.id),
+    dimmed: dimmed.has(n.id),
+    color: getNodeColor({ ...n, dimmed: dimmed.has(n.id) }),
+    font: { color: dimmed.has(n.id) ? DIMMED_FONT_COLOR : FONT_COLOR },
+  }));
+  nodes.update(nodeUpdates);
+
+  const isHidden = e => hidden.has(e.from) || hidden.has(e.to) || isRelationHidden(e, filters);
+  const isDimmed = e => dimmed.has(e.from) || dimmed.has(e.to);
+  const edgeUpdates = edges.get({
+    filter: e => Boolean(e.hidden) !== isHidden(e) || Boolean(e.dimmed) !== isDimmed(e),
+  }).map((e) => {
+    const color = getRestingEdgeColor(e);
+    const update = { id: e.id, hidden: isHidden(e), dimmed: isDimmed(e) };
+    if (color) update.color = isDimmed(e) ? DIMMED_EDGE_COLOR : color;
+    return update;
+  });
+  edges.update(edgeUpdates);
+
+  // Highlight the selected node again, over the new colors
+  const selected = window.selectedNode;
+  if (selected && nodes.get(selected) && (nodeUpdates.length || edgeUpdates.length)) {
+    resetProperties();
+    traceBack(selected);
+  }
+}
+
+
+
+// -- YEAR SLIDER -- //
+
+const DEFAULT_YEAR_RANGE = [1800, new Date().getFullYear()]; // For graphs without any dates
+
+// Get the range of years in which people in the graph lived, for the ends of the slider
+function getYearBounds() {
+  const lifespans = nodes.get().map(getLifespan).filter(lifespan => lifespan);
+  if (!lifespans.length) return DEFAULT_YEAR_RANGE;
+  return [
+    lifespans.reduce((a, b) => Math.min(a, b[0]), Infinity),
+    lifespans.reduce((a, b) => Math.max(a, b[1]), -Infinity),
+  ];
+}
+
+// Show the year slider if the year filter is on, with its ends fitting the graph
+function updateYearSlider() {
+  const bar = document.getElementById('year-filter');
+  const { years, yearsMode } = getPeopleFilters();
+  bar.classList.toggle('year-filter-hidden', !years);
+  if (!years) return;
+  const [min, max] = getYearBounds();
+  ['from', 'to'].forEach((key, i) => {
+    const input = bar.querySelector(`.year-${key}`);
+    input.min = Math.min(min, years[0]);
+    input.max = Math.max(max, years[1]);
+    input.value = years[i];
+  });
+  bar.querySelector('.year-label').textContent =
+    `Alive between ${formatAxisYear(years[0])} and ${formatAxisYear(years[1])}`;
+  bar.querySelector('.year-mode').value = yearsMode;
+}
+
+// Filter people by the years they were alive, as [from, to], or stop if `years` is null
+function setYearFilter(years) {
+  setPeopleFilters({ ...getPeopleFilters(), years });
+  applyPeopleFilters();
+  updateYearSlider();
+}
+
+// React to the year slider
+function bindYearSlider() {
+  const bar = document.getElementById('year-filter');
+  const from = bar.querySelector('.year-from');
+  const to = bar.querySelector('.year-to');
+  // The ends push each other along rather than crossing
+  from.addEventListener('input', () => {
+    const year = parseInt(from.value, 10);
+    setYearFilter([year, Math.max(year, parseInt(to.value, 10))]);
+  });
+  to.addEventListener('input', () => {
+    const year = parseInt(to.value, 10);
+    setYearFilter([Math.min(year, parseInt(from.value, 10)), year]);
+  });
+  bar.querySelector('.year-mode').addEventListener('change', (e) => {
+    setPeopleFilters({ ...getPeopleFilters(), yearsMode: e.target.value });
+    applyPeopleFilters();
+  });
+  bar.querySelector('.year-close').addEventListener('click', () => setYearFilter(null));
+}
+
+// Apply the chosen colors and filters to the graph
+function applyPeopleView() {
+  applyNodeColors();
+  applyPeopleFilters();
+  updateYearSlider();
+}
+
+
+// -- PANEL -- //
+
+// Present the panel for choosing colors and filters
+function openPeopleView() {
+  const panel = document.createElement('div');
+  panel.className = 'panel people-view';
+  panel.innerHTML = `
+    <h1>Color and filter people</h1>
+    <p class="people-view-help">Uses what Wikidata knows about each person, which is looked up in people mode.</p>
+    <label>Color by <select class="view-color"></select></label>
+    <ul class="view-legend"></ul>
+    <label>Only show nationalities containing <input type="text" class="view-nationality"></label>
+    <label>Only show occupations containing <input type="text" class="view-occupation"></label>
+    <label><input type="checkbox" class="view-years"> Only show people alive in some years</label>
+    <fieldset class="view-relations"><legend>Show edges</legend></fieldset>`;
+  const modal = new Modal(panel);
+
+  const select = panel.querySelector('.view-color');
+  Object.keys(colorModes).forEach((key) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = colorModes[key].name;
+    select.appendChild(option);
+  });
+  select.value = getColorMode();
+
+  const legend = panel.querySelector('.view-legend');
+  const showLegend = () => {
+    legend.innerHTML = '';
+    countColorValues().forEach(([value, count]) => {
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'view-swatch';
+      swatch.style.backgroundColor = valueColors.get(value) || OTHER_COLOR;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(`${value} (${count})`));
+      legend.appendChild(item);
+    });
+  };
+  showLegend();
+
+  select.addEventListener('change', () => {
+    setSetting('colorMode', select.value);
+    applyNodeColors();
+    showLegend();
+  });
+
+  const filters = getPeopleFilters();
+  ['nationality', 'occupation'].forEach((key) => {
+    const input = panel.querySelector(`.view-${key}`);
+    input.value = filters[key];
+    input.addEventListener('input', () => {
+      setPeopleFilters({ ...getPeopleFilters(), [key]: input.value });
+      applyPeopleFilters();
+    });
+  });
+
+  // The years are chosen with the slider, starting with every year in the graph
+  const years = panel.querySelector('.view-years');
+  years.checked = Boolean(filters.years);
+  years.addEventListener('change', () => setYearFilter(years.checked ? getYearBounds() : null));
+
+  // Plain links, and each kind of relation found with the 'Family and relations' links
+  const kinds = [['link', 'Plain links'], ...Object.keys(RELATIONS).map(key => [key, RELATIONS[key].name])];
+  const relations = panel.querySelector('.view-relations');
+  kinds.forEach(([key, name]) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !filters.hiddenRelations.includes(key);
+    checkbox.addEventListener('change', () => {
+      const hiddenRelations = getPeopleFilters().hiddenRelations.filter(k => k !== key);
+      if (!checkbox.checked) hiddenRelations.push(key);
+      setPeopleFilters({ ...getPeopleFilters(), hiddenRelations });
+      applyPeopleFilters();
+    });
+    label.appendChild(checkbox);
+    if (RELATIONS[key]) {
+      const swatch = document.createElement('span');
+      swatch.className = 'view-swatch';
+      swatch.style.backgroundColor = RELATIONS[key].color;
+      label.appendChild(swatch);
+    }
+    label.appendChild(document.createTextNode(name));
+    relations.appendChild(label);
+  });
+
+  modal.present();
+}
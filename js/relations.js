@@ -0,0 +1,105 @@
+/* global WIKIDATA_SPARQL, cachedFetchJson, getPagesByTitle, getSite, registerLinkStrategy */
+// This script finds how people are related, from Wikidata: their parents,
+// children, spouses, siblings, teachers, students and influences. The
+// 'relations' link strategy expands people into their relatives, and the
+// edges it adds are labeled and colored by relation. Each relation is
+// described from the point of view of the expanded person, e.g. an edge from
+// Plato to Socrates is labeled 'teacher'.
+
+/**
+ * The kinds of relations.
+ * - `name`: shown when filtering relations
+ * - `label`: shown on edges, naming what the relative is to the person
+ * - `claims`: the Wikidata properties that say the relative is this to the person
+ * - `inverse`: what the person is to the relative
+ * - `generation`: how many generations after the person the relative is, for the genealogy layout
+ */
+const RELATIONS = {
+  parent: { name: 'Parents', label: 'parent', color: '#8E24AA', claims: ['P22', 'P25'], inverse: 'child', generation: -1 },
+  child: { name: 'Children', label: 'child', color: '#D81B60', claims: ['P40'], inverse: 'parent', generation: 1 },
+  spouse: { name: 'Spouses', label: 'spouse', color: '#E53935', claims: ['P26'], inverse: 'spouse', generation: 0 },
+  sibling: { name: 'Siblings', label: 'sibling', color: '#FB8C00', claims: ['P3373'], inverse: 'sibling', generation: 0 },
+  teacher: { name: 'Teachers', label: 'teacher', color: '#43A047', claims: ['P1066'], inverse: 'student', generation: -1 },
+  student: { name: 'Students', label: 'student', color: '#00897B', claims: ['P802'], inverse: 'teacher', generation: 1 },
+  influence: { name: 'Influenced by', label: 'influence', color: '#3949AB', claims: ['P737'], inverse: 'influenced', generation: -1 },
+  influenced: { name: 'Influenced', label: 'influenced', color: '#039BE5', claims: [], inverse: 'influence', generation: 1 },
+};
+
+const getRelationColor = relation => RELATIONS[relation].color;
+
+// Get the properties of an edge to a relative, which label and color it
+function getRelationProperties(relation) {
+  const { label, color } = RELATIONS[relation];
+  return { relation, label, color, font: { size: 11, color, strokeWidth: 3, align: 'middle' } };
+}
+
+// Describe a relation in a sentence, shown like the sentence a link came from
+function describeRelation(relation, person, relative) {
+  if (relation === 'influence') return `${person} was influenced by ${relative}.`;
+  if (relation === 'influenced') return `${person} influenced ${relative}.`;
+  return `${relative} is a ${RELATIONS[relation].label} of ${person}.`;
+}
+
+
+// -- WIKIDATA -- //
+
+// Map from each Wikidata property to the relation it states
+const claimRelations = new Map(Object.keys(RELATIONS)
+  .flatMap(relation => RELATIONS[relation].claims.map(claim => [claim, relation])));
+
+// Build a SPARQL query for the relatives of a Wikidata item that have an
+// article on the wiki at `siteUrl`, e.g. 'https://en.wikipedia.org/'. Claims
+// are read both ways, since often only one of two relatives states them.
+function relativesQuery(itemId, siteUrl) {
+  return `SELECT ?property ?direction ?title WHERE {
+  VALUES ?property { ${Array.from(claimRelations.keys()).map(p => `wdt:${p}`).join(' ')} }
+  { wd:${itemId} ?property ?relative . BIND("out" AS ?direction) }
+  UNION
+  { ?relative ?property wd:${itemId} . BIND("in" AS ?direction) }
+  ?article schema:about ?relative ;
+    schema:isPartOf <${siteUrl}> ;
+    schema:name ?title .
+}`;
+}
+
+// Read the results of `relativesQuery` into a map from title to relation.
+// Relatives related in more than one way keep the first relation in `RELATIONS`.
+function parseRelatives(res) {
+  const order = Object.keys(RELATIONS);
+  const relatives = new Map();
+  res.results.bindings.forEach((row) => {
+    // Properties are URLs like 'http://www.wikidata.org/prop/direct/P22'
+    const stated = claimRelations.get(row.property.value.split('/').pop());
+    const relation = row.direction.value === 'out' ? stated : RELATIONS[stated].inverse;
+    const title = row.title.value;
+    if (!relatives.has(title) || order.indexOf(relation) < order.indexOf(relatives.get(title))) {
+      relatives.set(title, relation);
+    }
+  });
+  return relatives;
+}
+
+// Find the relatives of a page. Resolves to `{ redirectedTo, links, contexts,
+// relations }` like a link strategy, where `relations` maps titles to relations.
+async function getRelatives(pageName, { signal } = {}) {
+  if (!getSite().wikipedia) throw new Error('Relations come from Wikidata, which only knows about Wikipedia articles.');
+  const page = (await getPagesByTitle([pageName], { prop: 'pageprops', ppprop: 'wikibase_item' }, { signal }))
+    .get(pageName);
+  const redirectedTo = page.title || pageName;
+  const item = (page.pageprops || {}).wikibase_item;
+  if (!item) return { redirectedTo, links: [], contexts: new Map(), relations: new Map() };
+
+  const url = new URL(WIKIDATA_SPARQL);
+  url.searchParams.append('format', 'json');
+  url.searchParams.append('query', relativesQuery(item, `${new URL(getSite().api).origin}/`));
+  const relations = parseRelatives(await cachedFetchJson(url, { signal }));
+  const links = Array.from(relations.keys());
+  const contexts = new Map(links.map(title => [title, describeRelation(relations.get(title), redirectedTo, title)]));
+  return { redirectedTo, links, contexts, relations };
+}
+
+registerLinkStrategy({
+  id: 'relations',
+  name: 'Family and relations',
+  getLinks: getRelatives,
+});
@@ -0,0 +1,191 @@
+/* global getSetting, setSetting, registerSettingsSection, settingsNumberInput */
+// This script contains the queue that every request to the wiki's API goes
+// through. It limits how many requests run at once, gives up on requests that
+// take too long, and retries failed requests with exponential backoff. When
+// the wiki asks to slow down (HTTP 429 or a `maxlag` error), the whole queue
+// waits. Example usage:
+/*
+ * const queue = new RequestQueue({ concurrency: 2 });
+ * queue.fetchJson(new URL('https://en.wikipedia.org/w/api.php?...'), { signal })
+ */
+
+// Identifies the app to Wikimedia, as asked by https://meta.wikimedia.org/wiki/User-Agent_policy.
+// Browsers don't allow setting User-Agent itself.
+const API_USER_AGENT = 'WikipediaMap/1.0 (https://github.com/renshoek/wikimap-people-only)';
+// Wikimedia allows the header in cross-origin requests, but other wikis may refuse it
+const SENDS_USER_AGENT = /(^|\.)(wikipedia|wikimedia|wikidata)\.org$/;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TIMEOUT = 20; // Seconds
+const MAXLAG_WAIT = 5000; // Milliseconds to wait after a maxlag error, as recommended by MediaWiki
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Make an error for a failure that may go away when the request is sent again
+function retryableError(message, { retryAfter = null, slowDown = false } = {}) {
+  const error = new Error(message);
+  error.retry = true;
+  error.retryAfter = retryAfter; // Milliseconds, if the wiki said how long to wait
+  error.slowDown = slowDown; // Whether the wiki asked for fewer requests
+  return error;
+}
+
+// Read a Retry-After header in seconds, if the wiki sent one and CORS exposes it
+function getRetryAfter(response) {
+  const seconds = parseFloat(response.headers.get('Retry-After'));
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+function RequestQueue({ concurrency = DEFAULT_CONCURRENCY, retries = 3, timeout = DEFAULT_TIMEOUT, backoff = 1000 } = {}) {
+  this.concurrency = concurrency;
+  this.retries = retries;
+  this.timeout = timeout;
+  this.backoff = backoff; // Milliseconds before the first retry, doubled for each retry after it
+
+  let running = 0;
+  const waiting = []; // Requests waiting for a free slot
+  let pausedUntil = 0; // Time until which the wiki asked for no requests
+  let pauseTimer = null;
+
+  // Start waiting requests while there are free slots
+  const next = () => {
+    const pause = pausedUntil - Date.now();
+    if (pause > 0) {
+      if (!pauseTimer) {
+        pauseTimer = setTimeout(() => {
+          pauseTimer = null;
+          next();
+        }, pause);
+      }
+      return;
+    }
+    while (running < this.concurrency && waiting.length) {
+      running += 1;
+      waiting.shift()();
+    }
+  };
+  // Wait for a free slot. If `signal` is aborted first, the request gives up
+  // its place in line and rejects with an AbortError, like fetch() does.
+  const acquire = signal => new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const start = () => {
+      // eslint-disable-next-line no-use-before-define
+      if (signal) signal.removeEventListener('abort', abort);
+      resolve();
+    };
+    const abort = () => {
+      waiting.splice(waiting.indexOf(start), 1);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', abort);
+    waiting.push(start);
+    next();
+  });
+  const release = () => {
+    running -= 1;
+    next();
+  };
+
+  // Send a request once and read its JSON
+  const attempt = (url, signal) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) abort();
+      signal.addEventListener('abort', abort);
+    }
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout * 1000);
+
+    const headers = SENDS_USER_AGENT.test(url.hostname) ? { 'Api-User-Agent': API_USER_AGENT } : {};
+    return fetch(url, { signal: controller.signal, headers })
+      .then((response) => {
+        if (response.status === 429) {
+          throw retryableError('The wiki is receiving too many requests.', { retryAfter: getRetryAfter(response), slowDown: true });
+        }
+        if (response.status >= 500) {
+          throw retryableError(`The wiki had an error (HTTP ${response.status}).`, { retryAfter: getRetryAfter(response) });
+        }
+        return response.json().then((data) => {
+          const code = data.error && data.error.code;
+          if (code === 'maxlag' || code === 'ratelimited') {
+            throw retryableError('The wiki is busy.', { retryAfter: getRetryAfter(response) || MAXLAG_WAIT, slowDown: true });
+          }
+          return data;
+        });
+      })
+      .catch((e) => {
+        if (timedOut) throw retryableError(`The wiki didn't respond within ${this.timeout} seconds.`);
+        // fetch() rejects with a TypeError when the network fails
+        if (e.name === 'TypeError') throw retryableError("Couldn't reach the wiki. Check your connection.");
+        throw e;
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', abort);
+      });
+  };
+
+  const run = (url, signal, tries) => acquire(signal)
+    .then(() => attempt(url, signal).finally(release))
+    .catch((e) => {
+      if (!e.retry || tries >= this.retries || (signal && signal.aborted)) throw e;
+      // Exponential backoff, with some jitter so that waiting requests don't all retry at once
+      const delay = e.retryAfter || this.backoff * (2 ** tries) * (1 + (Math.random() / 2));
+      if (e.slowDown) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+      return sleep(delay).then(() => run(url, signal, tries + 1));
+    });
+
+  // Expose API
+
+  /**
+   * Queue a request, resolving to its JSON.
+   * @param {URL} url - The full URL of the request
+   * @param {AbortSignal} [signal] - Cancels the request, whether it is waiting or running
+   */
+  this.fetchJson = (url, { signal } = {}) => run(url, signal, 0);
+
+  this.setConcurrency = (n) => {
+    this.concurrency = n;
+    next();
+  };
+}
+
+const apiQueue = new RequestQueue({
+  concurrency: getSetting('concurrency', DEFAULT_CONCURRENCY),
+  timeout: getSetting('timeout', DEFAULT_TIMEOUT),
+});
+
+
+// -- SETTINGS -- //
+
+registerSettingsSection('Requests', (section) => {
+  const description = document.createElement('p');
+  description.textContent = 'Fewer parallel requests are kinder to the wiki, but make expanding slower.';
+  section.appendChild(description);
+  section.appendChild(settingsNumberInput('Parallel requests', {
+    get: () => apiQueue.concurrency,
+    set: (value) => {
+      const n = Math.round(value);
+      setSetting('concurrency', n);
+      apiQueue.setConcurrency(n);
+    },
+    min: 1,
+  }));
+  section.appendChild(settingsNumberInput('Give up on requests after (seconds)', {
+    get: () => apiQueue.timeout,
+    set: (value) => {
+      setSetting('timeout', value);
+      apiQueue.timeout = value;
+    },
+    min: 1,
+  }));
+});
@@ -0,0 +1,158 @@
+/* global nodes, edges, unwrap, getArticleUrl, describeStrategy, getSaveSnippets, setSetting */
+/* global registerSettingsSection, settingsCheckbox, getPagePreview, describeBio */
+// This script contains the selection panel, which shows what is known about
+// the selected node: a preview of its article, why it was included, how it
+// was expanded, and the sentences that its links came from. It follows
+// `window.selectedNode`, so it changes as the user hovers over nodes.
+
+const MAX_PANEL_LINKS = 20; // Links listed before the rest are summarized
+const MAX_EXTRACT_LENGTH = 600; // Characters of the article's lead to show
+const PREVIEW_DELAY = 250; // Milliseconds a node must stay selected before its preview is fetched
+
+// Buttons of the panel, as [action, icon, title]. `bindSelectionPanel` runs the actions.
+const SELECTION_ACTIONS = [
+  ['expand', 'ion-network', 'Expand'],
+  ['traceback', 'ion-merge', 'Trace back to the start and zoom to the path'],
+  ['open', 'ion-earth', 'Open on the wiki'],
+  ['remove', 'ion-trash-b', 'Remove'],
+];
+
+let previewTimer = null;
+let previewController = null;
+let lastPreview = null; // The last preview shown, so that it isn't fetched again when the panel is redrawn
+
+// Make an element with some text in it
+function panelElement(tag, className, text) {
+  const elem = document.createElement(tag);
+  if (className) elem.className = className;
+  if (text) elem.textContent = text;
+  return elem;
+}
+
+// List the links of a node whose sentence is known, with the node at the other end
+function getSelectionLinks(id) {
+  return edges.get({ filter: e => (e.from === id || e.to === id) && e.context })
+    .map((edge) => {
+      const outgoing = edge.from === id;
+      const other = nodes.get(outgoing ? edge.to : edge.from);
+      return other && { outgoing, name: unwrap(other.label), context: edge.context };
+    })
+    .filter(link => link);
+}
+
+// Fill `container` with an article preview from `loadPreview`
+function renderPreview(container, { description, extract, thumbnail }) {
+  container.innerHTML = '';
+  if (thumbnail) {
+    const image = panelElement('img', 'selection-thumbnail');
+    image.src = thumbnail;
+    image.alt = '';
+    container.appendChild(image);
+  }
+  if (description) container.appendChild(panelElement('p', 'selection-description', description));
+  if (extract) {
+    const text = extract.length > MAX_EXTRACT_LENGTH ? `${extract.slice(0, MAX_EXTRACT_LENGTH).trim()}…` : extract;
+    container.appendChild(panelElement('p', 'selection-extract', text));
+  }
+}
+
+// Fetch the preview of an article into `container`, once the node has been
+// selected for a moment. Any preview still loading for another node is cancelled.
+function loadPreview(container, name) {
+  clearTimeout(previewTimer);
+  if (previewController) previewController.abort();
+  if (lastPreview && lastPreview.name === name) {
+    renderPreview(container, lastPreview);
+    return;
+  }
+  container.appendChild(panelElement('p', 'selection-loading', 'Loading preview…'));
+
+  previewTimer = setTimeout(() => {
+    previewController = new AbortController();
+    getPagePreview(name, { signal: previewController.signal })
+      .then((preview) => {
+        lastPreview = { ...preview, name };
+        renderPreview(container, preview);
+      })
+      .catch((e) => {
+        if (e.name === 'AbortError') return;
+        container.innerHTML = '';
+        container.appendChild(panelElement('p', 'selection-loading', `Couldn't load a preview. ${e.message}`));
+      });
+  }, PREVIEW_DELAY);
+}
+
+// Show the node with ID `id` in the selection panel, or hide the panel if `id` is null
+function showSelection(id) {
+  const panel = document.getElementById('selection');
+  if (!panel) return;
+  const node = id === null ? null : nodes.get(id);
+  panel.innerHTML = '';
+  panel.classList.toggle('selection-hidden', !node);
+  if (!node) {
+    clearTimeout(previewTimer);
+    if (previewController) previewController.abort();
+    return;
+  }
+
+  const name = unwrap(node.label);
+  const heading = panelElement('h2');
+  const link = panelElement('a', null, name);
+  link.href = getArticleUrl(name);
+  link.target = '_blank';
+  link.rel = 'noopener';
+  heading.appendChild(link);
+  panel.appendChild(heading);
+
+  const actions = panelElement('div', 'selection-actions');
+  SELECTION_ACTIONS.forEach(([action, icon, title]) => {
+    const button = panelElement('button');
+    button.type = 'button';
+    button.title = title;
+    button.dataset.action = action;
+    button.appendChild(panelElement('i', `icon ${icon}`));
+    actions.appendChild(button);
+  });
+  panel.appendChild(actions);
+
+  // What Wikidata knows about the person, once it has been looked up
+  if (node.bio) {
+    describeBio(node.bio).forEach(line => panel.appendChild(panelElement('p', 'selection-bio', line)));
+  }
+
+  const preview = panelElement('div', 'selection-preview');
+  panel.appendChild(preview);
+  loadPreview(preview, name);
+
+  if (node.why) panel.appendChild(panelElement('p', 'selection-fact', `Included because: ${node.why}`));
+  if (node.strategy) panel.appendChild(panelElement('p', 'selection-fact', `Expanded with: ${describeStrategy(node.strategy)}`));
+
+  const links = getSelectionLinks(node.id);
+  if (!links.length) return;
+  const list = panelElement('ul', 'selection-links');
+  links.slice(0, MAX_PANEL_LINKS).forEach(({ outgoing, name: other, context }) => {
+    const item = panelElement('li');
+    item.appendChild(panelElement('b', null, outgoing ? `Links to ${other}` : `Linked from ${other}`));
+    item.appendChild(panelElement('q', null, context));
+    list.appendChild(item);
+  });
+  if (links.length > MAX_PANEL_LINKS) {
+    list.appendChild(panelElement('li', 'selection-more', `and ${links.length - MAX_PANEL_LINKS} more`));
+  }
+  panel.appendChild(list);
+}
+
+
+// -- SETTINGS -- //
+
+registerSettingsSection('Link snippets', (section) => {
+  const description = document.createElement('p');
+  description.textContent = 'The sentence each link came from is shown when hovering over an edge, '
+    + 'and in the panel for the selected node. Leaving them out of saved graphs makes them, '
+    + 'and share links, much smaller.';
+  section.appendChild(description);
+  section.appendChild(settingsCheckbox('Keep snippets in saved and shared graphs', {
+    get: getSaveSnippets,
+    set: value => setSetting('saveSnippets', value),
+  }));
+});
@@ -0,0 +1,32 @@
+// Tiny store for user preferences, kept in localStorage so that they survive
+// reloads. Example usage:
+/*
+ * setSetting('language', 'de');
+ * getSetting('language', 'en'); // 'de'
+ */
+
+const SETTINGS_KEY = 'wikipedia-map-settings';
+
+function readSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (e) {
+    return {}; // Storage is unavailable or the settings are corrupted
+  }
+}
+
+// Get a setting, or `fallback` if it was never set
+function getSetting(key, fallback) {
+  const settings = readSettings();
+  return settings[key] === undefined ? fallback : settings[key];
+}
+
+function setSetting(key, value) {
+  const settings = readSettings();
+  settings[key] = value;
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not save settings:', e);
+  }
+}
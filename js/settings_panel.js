@@ -0,0 +1,64 @@
+/* global Modal */
+// This script contains the settings panel. Features add their own section to
+// it, so that the panel doesn't need to know about each of them. Example usage:
+/*
+ * registerSettingsSection('Cache', (section) => {
+ *   section.appendChild(document.createTextNode('Hello!'));
+ * });
+ */
+
+const settingsSections = [];
+
+// Add a section to the settings panel. `render` fills in the section's element
+// each time the panel is opened.
+function registerSettingsSection(title, render) {
+  settingsSections.push({ title, render });
+}
+
+// Make a labelled number input that reads and writes a setting through `get` and `set`
+function settingsNumberInput(label, { get, set, min, step = 1 }) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'settings-field';
+  wrapper.textContent = label;
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = min;
+  input.step = step;
+  input.value = get();
+  input.addEventListener('change', () => {
+    const value = parseFloat(input.value);
+    if (Number.isNaN(value) || value < min) input.value = get();
+    else set(value);
+  });
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+// Make a labelled checkbox that reads and writes a setting through `get` and `set`
+function settingsCheckbox(label, { get, set }) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'settings-field';
+  wrapper.textContent = label;
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = get();
+  input.addEventListener('change', () => set(input.checked));
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+// Present the settings panel
+function openSettings() {
+  const panel = document.createElement('div');
+  panel.className = 'panel settings';
+  panel.innerHTML = '<h1>Settings</h1>';
+  settingsSections.forEach(({ title, render }) => {
+    const section = document.createElement('section');
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    section.appendChild(heading);
+    render(section);
+    panel.appendChild(section);
+  });
+  new Modal(panel).present();
+}
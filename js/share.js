@@ -0,0 +1,104 @@
+/* global Clipboard, Modal, nodes, networkToJson, showMessage */
+// This script creates share links that contain a whole graph, compressed into
+// the URL fragment, so that they work without any server.
+
+const SHARE_PREFIX = '#graph=';
+// Longer links get cut off by chat apps, mail clients and some browsers
+const MAX_SHARE_URL_LENGTH = 32000;
+
+
+// -- ENCODING -- //
+
+// Run bytes through a CompressionStream or DecompressionStream
+function pipeBytes(bytes, stream) {
+  return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+    .then(buffer => new Uint8Array(buffer));
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  // Convert in chunks to stay under the maximum number of function arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Compress a JSON string into a URL-safe string
+function encodeGraph(json) {
+  return pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'))
+    .then(bytesToBase64Url);
+}
+
+// Turn a string made by `encodeGraph` back into graph data
+function decodeGraph(str) {
+  return Promise.resolve()
+    .then(() => base64UrlToBytes(str))
+    .then(bytes => pipeBytes(bytes, new DecompressionStream('deflate-raw')))
+    .then(bytes => JSON.parse(new TextDecoder().decode(bytes)))
+    .catch(() => { throw new Error('This share link is damaged or incomplete.'); });
+}
+
+// Whether the page was opened from a share link
+const isShareLink = () => window.location.hash.startsWith(SHARE_PREFIX);
+
+// Get the graph data encoded in the current share link
+const graphFromShareLink = () => decodeGraph(window.location.hash.slice(SHARE_PREFIX.length));
+
+
+// -- SHARE PANEL -- //
+
+// Present a panel with a link to the current graph
+function shareGraph() {
+  if (!nodes || !nodes.length) {
+    showMessage('Nothing to share', 'Build a graph first, then share it.');
+    return;
+  }
+  if (!window.CompressionStream) {
+    showMessage('Sharing unavailable', "This browser can't compress graphs into links.");
+    return;
+  }
+
+  encodeGraph(networkToJson()).then((encoded) => {
+    const link = `${window.location.origin}${window.location.pathname}${SHARE_PREFIX}${encoded}`;
+    if (link.length > MAX_SHARE_URL_LENGTH) {
+      showMessage(
+        'This graph is too big to share as a link',
+        `The link would be ${link.length.toLocaleString()} characters long, but links over ` +
+        `${MAX_SHARE_URL_LENGTH.toLocaleString()} characters get cut off. Save it in My graphs ` +
+        'instead, or remove some nodes and try again.',
+      );
+      return;
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'panel share';
+    panel.innerHTML = `
+      <h1>Share this graph</h1>
+      <p>Anyone with this link can open a copy of your graph.</p>
+      <div class="share-row">
+        <input type="text" id="share-link" readonly>
+        <button type="button" data-clipboard-target="#share-link">Copy</button>
+      </div>`;
+    const input = panel.querySelector('input');
+    input.value = link;
+    const copyButton = panel.querySelector('button');
+
+    const clipboard = new Clipboard(copyButton);
+    clipboard.on('success', () => { copyButton.textContent = 'Copied!'; });
+    clipboard.on('error', () => { copyButton.textContent = 'Press Ctrl+C to copy'; });
+
+    const modal = new Modal(panel);
+    // Clipboard keeps listening for clicks on the button until it's destroyed
+    modal.onClose = () => clipboard.destroy();
+    modal.present();
+    input.select();
+  }).catch((e) => {
+    showMessage("Couldn't make a share link", e.message);
+  });
+}
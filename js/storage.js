@@ -0,0 +1,55 @@
+// Tiny promise wrapper around IndexedDB, which holds everything Wikipedia Map
+// keeps in the browser between visits. Example usage:
+/*
+ * dbPut('graphs', { name: 'Physics' }).then(id => dbGet('graphs', id))
+ */
+
+const DB_NAME = 'wikipedia-map';
+const DB_VERSION = 2;
+let dbPromise = null;
+
+// Open the database, creating or upgrading its object stores if needed
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        // Each case upgrades from the version before it, so they fall through
+        switch (e.oldVersion) {
+          case 0:
+            db.createObjectStore('graphs', { keyPath: 'id', autoIncrement: true });
+            db.createObjectStore('autosave');
+            // falls through
+          case 1:
+            db.createObjectStore('responses', { keyPath: 'url' })
+              .createIndex('fetched', 'fetched');
+            // falls through
+          default:
+            break;
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run `action` on an object store inside a transaction, resolving to the result of the request
+function dbRequest(storeName, mode, action) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+const dbGet = (storeName, key) => dbRequest(storeName, 'readonly', store => store.get(key));
+const dbGetAll = storeName => dbRequest(storeName, 'readonly', store => store.getAll());
+// Stores with in-line keys refuse an explicit key, even an undefined one
+const dbPut = (storeName, value, key) => dbRequest(storeName, 'readwrite', store =>
+  (key === undefined ? store.put(value) : store.put(value, key)));
+const dbDelete = (storeName, key) => dbRequest(storeName, 'readwrite', store => store.delete(key));
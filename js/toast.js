@@ -0,0 +1,28 @@
+// Tiny library for short notifications at the bottom of the screen, for
+// problems that shouldn't interrupt the user with a modal. Example usage:
+/*
+ * showToast("Couldn't expand Physics");
+ */
+
+const TOAST_DURATION = 6000; // Milliseconds
+
+function showToast(text) {
+  let box = document.getElementById('toasts');
+  if (!box) {
+    box = document.createElement('div');
+    box.id = 'toasts';
+    document.body.appendChild(box);
+  }
+  // Don't stack copies of a message that is already shown
+  if (Array.from(box.children).some(t => t.textContent === text)) return;
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.textContent = text;
+  const dismiss = () => {
+    if (toast.parentNode) box.removeChild(toast);
+  };
+  toast.addEventListener('click', dismiss);
+  setTimeout(dismiss, TOAST_DURATION);
+  box.appendChild(toast);
+}
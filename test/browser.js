@@ -0,0 +1,29 @@
+// Load the app's scripts into a fresh context, the way index.html loads them
+// into a page, so that tests can call their functions. `globals` fills in what
+// the scripts expect from the browser or from scripts that aren't loaded.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    URL,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    DOMParser: class {},
+    ...globals,
+  });
+  files.forEach((file) => {
+    const filename = path.join(__dirname, '..', 'js', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  // Top-level `const`s aren't properties of the context, so look names up by running them
+  return name => vm.runInContext(name, context);
+}
+
+// Read a file from test/fixtures
+const readFixture = file => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8'));
+
+module.exports = { loadScripts, readFixture };
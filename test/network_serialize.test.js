@@ -0,0 +1,41 @@
+// Tests for reading graph files. Run with `node --test test/*.test.js`.
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./browser');
+
+const load = () => loadScripts(['helpers.js', 'wikipedia_parse.js', 'network_serialize.js']);
+
+// A graph from a wiki whose titles are case sensitive, where "iPod" and "IPod" are different pages
+const caseSensitiveGraph = caseSensitive => ({
+  version: 3,
+  lang: 'en',
+  site: { name: 'Example Wiki', api: 'https://wiki.example.org/api.php', article: 'https://wiki.example.org/wiki/$1', caseSensitive },
+  nodes: [
+    { a: 'iPod', b: 0, c: 'iPod' },
+    { a: 'IPod', b: 1, c: 'iPod' },
+  ],
+  startpages: ['iPod'],
+  edges: [],
+});
+
+test("validates a graph with its own wiki's case rule, not the current wiki's", () => {
+  const get = load();
+  assert.strictEqual(get('getSite().caseSensitive'), false);
+  assert.doesNotThrow(() => get('migrateGraph')(caseSensitiveGraph(true)));
+  assert.throws(() => get('migrateGraph')(caseSensitiveGraph(false)), /start page "iPod" is missing/);
+});
+
+test('saves the case rule of wikis other than Wikipedia', () => {
+  const get = load();
+  assert.deepStrictEqual({ ...get('getSiteJson')() }, { lang: 'en' });
+  get('setSite')({ api: 'https://wiki.example.org/api.php', article: 'https://wiki.example.org/wiki/$1', caseSensitive: true, namespaces: [] });
+  assert.strictEqual(get('getSiteJson')().site.caseSensitive, true);
+});
+
+test('migrates graphs to the current version and turns away newer ones', () => {
+  const get = load();
+  const graph = { version: 3, nodes: [{ a: 'Plato', b: 0, c: 'Plato' }], startpages: ['Plato'], edges: [] };
+  assert.strictEqual(get('migrateGraph')(graph).version, get('GRAPH_FORMAT_VERSION'));
+  const newer = { ...graph, version: get('GRAPH_FORMAT_VERSION') + 1 };
+  assert.throws(() => get('migrateGraph')(newer), /newer version/);
+});
@@ -0,0 +1,101 @@
+// Tests for deciding which pages are about people, against responses from the
+// MediaWiki API and the Wikidata Query Service in test/fixtures/people.
+// Run with `node --test test/*.test.js`.
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts, readFixture } = require('./browser');
+
+const TITLES = [
+  'Albert Einstein',
+  'Sherlock Holmes',
+  'Homer Simpson',
+  "People's Republic of China",
+  'the Beatles',
+  'Isaac Newton',
+  'Germany',
+];
+
+// Load people mode with the API answering from the fixtures. Wikidata fails
+// if `wikidataFails` is set. Returns the app's globals and the URLs requested.
+function setUp({ wikidataFails = false } = {}) {
+  const requested = [];
+  const cachedFetchJson = (url) => {
+    requested.push(url);
+    if (url.hostname === 'query.wikidata.org') {
+      return wikidataFails
+        ? Promise.reject(new Error('Service Unavailable'))
+        : Promise.resolve(readFixture('people/person_kinds.json'));
+    }
+    return Promise.resolve(readFixture('people/pages.json'));
+  };
+  const get = loadScripts(
+    ['settings.js', 'helpers.js', 'wikipedia_parse.js', 'people.js', 'people_rules.js'],
+    { cachedFetchJson, console: { ...console, warn: () => {} } },
+  );
+  return { get, requested };
+}
+
+test('asks Wikidata about the items of the pages', async () => {
+  const { get, requested } = setUp();
+  await get('filterPeople')(TITLES);
+  const sparql = requested.filter(url => url.hostname === 'query.wikidata.org');
+  assert.strictEqual(sparql.length, 1);
+  const query = sparql[0].searchParams.get('query');
+  ['Q937', 'Q4653', 'Q7810', 'Q148', 'Q1299'].forEach(item => assert.ok(query.includes(`wd:${item}`), item));
+});
+
+test('includes humans, with why', async () => {
+  const { get } = setUp();
+  const reasons = await get('filterLinks')(TITLES, { people: true });
+  assert.strictEqual(reasons.get('Albert Einstein'), 'Wikidata: Q937 is an instance of human');
+});
+
+test('includes fictional characters, with why', async () => {
+  const { get } = setUp();
+  const people = await get('classifyPeople')(await get('getPagesByTitle')(TITLES, get('PERSON_PROPS')));
+  assert.deepStrictEqual({ ...people.get('Sherlock Holmes') }, {
+    kind: 'fictional',
+    why: 'Wikidata: Q4653 is a fictional character',
+  });
+  assert.strictEqual(people.get('Homer Simpson').kind, 'fictional');
+  assert.strictEqual(people.get('Albert Einstein').kind, 'human');
+});
+
+test("leaves out pages in people-like categories that aren't people", async () => {
+  const { get } = setUp();
+  const people = await get('filterPeople')(TITLES);
+  // "People's Republic of China" redirects to China, which is in "Category:People's Republic of China"
+  assert.ok(!people.includes("People's Republic of China"));
+  // The Beatles are in "Category:People associated with the Beatles", but are a band
+  assert.ok(!people.includes('the Beatles'));
+  assert.ok(!people.includes('Germany'));
+});
+
+test('falls back to categories for pages without a Wikidata item', async () => {
+  const { get } = setUp();
+  const reasons = await get('filterLinks')(TITLES, { people: true });
+  assert.strictEqual(reasons.get('Isaac Newton'), 'No Wikidata item, but in Category:1642 births');
+});
+
+test('falls back to categories when Wikidata fails', async () => {
+  const { get } = setUp({ wikidataFails: true });
+  const people = await get('classifyPeople')(await get('getPagesByTitle')(TITLES, get('PERSON_PROPS')));
+  assert.deepStrictEqual({ ...people.get('Albert Einstein') }, {
+    kind: 'human',
+    why: 'Wikidata unavailable, but in Category:1879 births',
+  });
+  assert.deepStrictEqual({ ...people.get('Homer Simpson') }, {
+    kind: 'fictional',
+    why: 'Wikidata unavailable, but in Category:The Simpsons characters',
+  });
+  assert.ok(!people.has('Germany'));
+  // Without Wikidata, the category heuristic lets the false positive through again
+  assert.ok(people.has("People's Republic of China"));
+});
+
+test('keeps a real person who also appears as a character human', () => {
+  const { get } = setUp();
+  const row = kind => ({ item: { value: 'http://www.wikidata.org/entity/Q937' }, kind: { value: kind } });
+  const kinds = get('parsePersonKinds')({ results: { bindings: [row('human'), row('fictional')] } });
+  assert.strictEqual(kinds.get('Q937'), 'human');
+});
@@ -0,0 +1,32 @@
+// Tests for the filter rules. Run with `node --test test/*.test.js`.
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./browser');
+
+// Load the rules with settings kept in a fake localStorage
+function setUp() {
+  const stored = new Map();
+  const localStorage = {
+    getItem: key => (stored.has(key) ? stored.get(key) : null),
+    setItem: (key, value) => stored.set(key, String(value)),
+  };
+  return loadScripts(['settings.js', 'helpers.js', 'wikipedia_parse.js', 'people_rules.js'], { localStorage });
+}
+
+test("an opened graph's rules apply to it without replacing the user's", () => {
+  const get = setUp();
+  get('setPeopleRules')({ blocklist: ['Napoleon'] });
+  get('setGraphPeopleRules')({ kinds: 'fictional', blocklist: ['Hamlet'] });
+  assert.strictEqual(get('getPeopleRules()').kinds, 'fictional');
+  assert.deepStrictEqual([...get('getPeopleRules()').blocklist], ['Hamlet']);
+
+  // Editing the rules while the graph is open changes the graph's
+  get('setPeopleRules')({ ...get('getPeopleRules()'), blocklist: ['Ophelia'] });
+  assert.deepStrictEqual([...get('getPeopleRules()').blocklist], ['Ophelia']);
+  assert.deepStrictEqual([...get("getSetting('peopleRules').blocklist")], ['Napoleon']);
+
+  // A new graph goes back to the user's rules
+  get('setGraphPeopleRules')(null);
+  assert.strictEqual(get('getPeopleRules()').kinds, 'all');
+  assert.deepStrictEqual([...get('getPeopleRules()').blocklist], ['Napoleon']);
+});
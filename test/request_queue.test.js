@@ -0,0 +1,55 @@
+// Tests for the request queue. Run with `node --test test/*.test.js`.
+const test = require('node:test');
+const assert = require('assert');
+const { loadScripts } = require('./browser');
+
+// Load the queue with fetch() answering only when the test says so. Returns
+// the app's globals and the URLs fetched, each with a function that answers it.
+function setUp() {
+  const fetched = [];
+  const fetch = url => new Promise((resolve) => {
+    fetched.push({
+      url: String(url),
+      respond: data => resolve({ status: 200, headers: new Map(), json: () => Promise.resolve(data) }),
+    });
+  });
+  const get = loadScripts(['request_queue.js'], {
+    fetch,
+    DOMException,
+    getSetting: (key, fallback) => fallback,
+    registerSettingsSection: () => {},
+  });
+  return { get, fetched };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('an aborted request gives up its place in line without taking a slot', async () => {
+  const { get, fetched } = setUp();
+  const queue = new (get('RequestQueue'))({ concurrency: 1 });
+  const first = queue.fetchJson(new URL('https://example.org/1'));
+  const controller = new AbortController();
+  const second = queue.fetchJson(new URL('https://example.org/2'), { signal: controller.signal });
+  const third = queue.fetchJson(new URL('https://example.org/3'));
+  await settle();
+  assert.deepStrictEqual(fetched.map(f => f.url), ['https://example.org/1']);
+
+  controller.abort();
+  await assert.rejects(second, { name: 'AbortError' });
+  fetched[0].respond({ n: 1 });
+  assert.deepStrictEqual(await first, { n: 1 });
+  await settle();
+  // The aborted request was never sent
+  assert.deepStrictEqual(fetched.map(f => f.url), ['https://example.org/1', 'https://example.org/3']);
+  fetched[1].respond({ n: 3 });
+  assert.deepStrictEqual(await third, { n: 3 });
+});
+
+test('a request aborted before it is queued is never sent', async () => {
+  const { get, fetched } = setUp();
+  const queue = new (get('RequestQueue'))({ concurrency: 1 });
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(queue.fetchJson(new URL('https://example.org/1'), { signal: controller.signal }), { name: 'AbortError' });
+  assert.strictEqual(fetched.length, 0);
+});